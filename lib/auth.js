@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { safeEqual } = require('./util');
+
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+/**
+ * API client authentication.
+ *
+ * Clients are configured as JSON, either in a file (re-read whenever it
+ * changes, so keys can be rotated without a restart) or in an env var:
+ *
+ *   [{
+ *     "id": "payments-backend",
+ *     "keys": ["<api key>", "sha256:<hex digest of an api key>"],
+ *     "secrets": ["<hmac secret>"],
+ *     "scopes": ["send:billing", "send:verification"]
+ *   }]
+ *
+ * Listing several keys or secrets lets an old and a new one work side by
+ * side during rotation. The scope "*" grants everything.
+ *
+ * A request authenticates with either:
+ *   - an API key: `Authorization: Bearer <key>` or `X-API-Key: <key>`
+ *   - an HMAC signature: `X-Client-Id`, `X-Timestamp` (unix seconds) and
+ *     `X-Signature`, the hex HMAC-SHA256 of
+ *     `<timestamp>.<METHOD>.<path and query>.<raw body>` with one of the
+ *     client's secrets. Timestamps older than 5 minutes are refused and each
+ *     signature is accepted only once.
+ *
+ * @param {object} options
+ * @param {string} [options.clientsFile] - Path to the clients JSON file
+ * @param {string} [options.clientsJson] - Clients JSON, used when no file is set
+ * @param {object} options.nonceStore - Store used to remember seen signatures
+ * @param {boolean} [options.disabled] - Skip authentication (local development only)
+ */
+function createAuth({ clientsFile, clientsJson, nonceStore, disabled = false }) {
+  let clients = [];
+  let loadedMtime = null;
+
+  function loadClients() {
+    if (!clientsFile) {
+      if (loadedMtime === null) {
+        clients = parseClients(clientsJson || '[]');
+        loadedMtime = 0;
+      }
+      return clients;
+    }
+
+    const { mtimeMs } = fs.statSync(clientsFile);
+    if (mtimeMs !== loadedMtime) {
+      clients = parseClients(fs.readFileSync(clientsFile, 'utf8'));
+      loadedMtime = mtimeMs;
+      console.log(`🔑 Loaded ${clients.length} API client(s) from ${clientsFile}`);
+    }
+    return clients;
+  }
+
+  function findClientByKey(key) {
+    const digest = sha256(key);
+    return loadClients().find((client) => client.keys.some((stored) => safeEqual(stored, digest)));
+  }
+
+  async function findClientBySignature(req) {
+    const clientId = req.get('X-Client-Id');
+    const timestamp = req.get('X-Timestamp');
+    const signature = req.get('X-Signature');
+
+    const client = loadClients().find((c) => c.id === clientId);
+    if (!client || !timestamp || !signature) return null;
+
+    const signedAt = Number(timestamp) * 1000;
+    if (!Number.isFinite(signedAt) || Math.abs(Date.now() - signedAt) > SIGNATURE_TOLERANCE_MS) return null;
+
+    const payload = `${timestamp}.${req.method}.${req.originalUrl}.${req.rawBody ? req.rawBody.toString('utf8') : ''}`;
+    const valid = client.secrets.some((secret) => (
+      safeEqual(crypto.createHmac('sha256', secret).update(payload).digest('hex'), signature)
+    ));
+    if (!valid) return null;
+
+    // Replay protection: remember the signature until it falls out of the window
+    const nonceKey = `${client.id}:${signature}`;
+    let replayed = false;
+    await nonceStore.update(nonceKey, (seen) => {
+      if (seen && seen.expiresAt > Date.now()) {
+        replayed = true;
+        return undefined;
+      }
+      return { expiresAt: signedAt + SIGNATURE_TOLERANCE_MS };
+    });
+
+    return replayed ? null : client;
+  }
+
+  async function authenticate(req) {
+    const header = req.get('Authorization') || '';
+    const apiKey = req.get('X-API-Key') || (header.startsWith('Bearer ') ? header.slice(7).trim() : null);
+
+    if (apiKey) return findClientByKey(apiKey);
+    if (req.get('X-Signature')) return findClientBySignature(req);
+    return null;
+  }
+
+  /**
+   * Express middleware that only lets through clients holding `scope`.
+   * The authenticated client is available to handlers as `req.client`.
+   */
+  function requireScope(scope) {
+    return async (req, res, next) => {
+      if (disabled) {
+        req.client = { id: 'anonymous', scopes: ['*'] };
+        return next();
+      }
+
+      try {
+        const client = await authenticate(req);
+
+        if (!client) {
+          return res.status(401).json({
+            success: false,
+            error: 'Missing or invalid API credentials'
+          });
+        }
+
+        if (!client.scopes.includes('*') && !client.scopes.includes(scope)) {
+          return res.status(403).json({
+            success: false,
+            error: `API client is missing the ${scope} scope`
+          });
+        }
+
+        req.client = { id: client.id, scopes: client.scopes };
+        next();
+      } catch (error) {
+        console.error('Error authenticating request:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to authenticate request'
+        });
+      }
+    };
+  }
+
+  /**
+   * Removes remembered signatures that can no longer be replayed.
+   */
+  async function purgeNonces() {
+    const now = Date.now();
+    for (const [key, value] of await nonceStore.entries()) {
+      if (value.expiresAt <= now) await nonceStore.delete(key);
+    }
+  }
+
+  return { requireScope, purgeNonces, loadClients };
+}
+
+function parseClients(json) {
+  const parsed = JSON.parse(json);
+  if (!Array.isArray(parsed)) throw new Error('API clients config must be a JSON array');
+
+  return parsed.map((client) => {
+    if (!client.id) throw new Error('Every API client needs an id');
+
+    return {
+      id: client.id,
+      // Keys are kept as digests so plain keys never sit in memory longer than needed
+      keys: (client.keys || []).map((key) => (key.startsWith('sha256:') ? key.slice(7).toLowerCase() : sha256(key))),
+      secrets: client.secrets || [],
+      scopes: client.scopes || []
+    };
+  });
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+module.exports = { createAuth };
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Loads the message catalogs (locales/<locale>.json) and provides
+ * translation plus locale-aware number and date formatting.
+ *
+ * Messages use `{name}` placeholders. Missing keys fall back to the default
+ * locale, then to the key itself, so a half-translated catalog never breaks
+ * a send.
+ *
+ * @param {string} localesDir
+ * @param {{ defaultLocale?: string, currency?: string, timeZone?: string }} options
+ */
+function createI18n(localesDir, { defaultLocale = 'en', currency = 'GBP', timeZone = 'Europe/London' } = {}) {
+  const catalogs = {};
+  for (const file of fs.readdirSync(localesDir).filter((f) => f.endsWith('.json'))) {
+    catalogs[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(localesDir, file), 'utf8'));
+  }
+
+  if (!catalogs[defaultLocale]) {
+    throw new Error(`Missing catalog for default locale: ${defaultLocale}`);
+  }
+
+  const locales = Object.keys(catalogs);
+
+  /**
+   * Maps a requested locale ("pt-BR", "PT", "es_ES") to a supported one,
+   * falling back to the language alone. Returns null when nothing matches.
+   */
+  function match(requested) {
+    if (!requested || typeof requested !== 'string') return null;
+
+    const normalized = requested.replace('_', '-').toLowerCase();
+    const exact = locales.find((locale) => locale.toLowerCase() === normalized);
+    if (exact) return exact;
+
+    const language = normalized.split('-')[0];
+    return locales.find((locale) => locale.toLowerCase() === language) || null;
+  }
+
+  function lookup(locale, key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalogs[locale]);
+  }
+
+  /**
+   * Translates a key and fills its placeholders.
+   * The catalog text is trusted and may contain simple markup such as
+   * <strong> and <br>; `transform` runs on it before interpolation, while
+   * `escape` is applied to every parameter value.
+   */
+  function translate(locale, key, params = {}, { escape = String, transform = (text) => text } = {}) {
+    let message = lookup(locale, key);
+    if (typeof message !== 'string') message = lookup(defaultLocale, key);
+    if (typeof message !== 'string') return key;
+
+    return transform(message).replace(/\{(\w+)\}/g, (placeholder, name) => (
+      params[name] === undefined || params[name] === null ? '' : escape(params[name])
+    ));
+  }
+
+  /**
+   * Formats a price for the locale. Numbers (or numeric strings) become
+   * currency amounts; anything else, such as "£7.99/month", is returned as is.
+   */
+  function formatMoney(locale, value, currencyCode, interval) {
+    if (value === undefined || value === null || value === '') return '';
+
+    const numeric = typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value));
+    if (!numeric) return String(value);
+
+    const price = new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: (currencyCode || currency).toUpperCase()
+    }).format(Number(value));
+
+    if (interval === 'month') return translate(locale, 'common.perMonth', { price });
+    if (interval === 'year') return translate(locale, 'common.perYear', { price });
+    return price;
+  }
+
+  function formatDate(locale, value, { withTime = true } = {}) {
+    if (value === undefined || value === null || value === '') return '';
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return String(value);
+
+    const time = withTime ? { hour: '2-digit', minute: '2-digit', timeZoneName: 'short' } : {};
+    return new Intl.DateTimeFormat(locale, {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric',
+      ...time,
+      timeZone
+    }).format(date);
+  }
+
+  function formatHours(locale, hours) {
+    return new Intl.NumberFormat(locale, { style: 'unit', unit: 'hour', unitDisplay: 'long' }).format(hours);
+  }
+
+  function formatMinutes(locale, minutes) {
+    return new Intl.NumberFormat(locale, { style: 'unit', unit: 'minute', unitDisplay: 'long' }).format(minutes);
+  }
+
+  return { defaultLocale, locales, match, translate, formatMoney, formatDate, formatHours, formatMinutes };
+}
+
+module.exports = { createI18n };
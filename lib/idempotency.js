@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Idempotent send routes.
+ *
+ * A request is identified by its `Idempotency-Key` header or, when there is
+ * none, by a natural key taken from the body (an invoiceId, a transferId).
+ * Keys are scoped to the API client and the route.
+ *
+ * The first request with a key is processed and its successful response
+ * kept for `windowMs`; repeats within the window get that response back
+ * (with `Idempotent-Replayed: true`) and nothing is sent again. A key reused
+ * with a different body is refused with 422, and a repeat that arrives
+ * while the first request is still running gets 409.
+ *
+ * A running request only holds its key for `leaseMs`, so a crash mid-request
+ * doesn't block the key for the whole window: once the lease runs out, a
+ * retry takes the key over. The owner recorded with the placeholder keeps
+ * the earlier request from overwriting or freeing the key after that.
+ *
+ * Failed requests (4xx/5xx) are not kept, so they can be retried. The key
+ * is left on `req.idempotencyKey`, so a route can `release` it later when
+ * what the request did is undone (e.g. a scheduled email is cancelled).
+ *
+ * @param {object} options
+ * @param {object} options.store - Store for keys and responses
+ * @param {number} options.windowMs - How long a key is remembered
+ * @param {number} [options.leaseMs] - How long a request still running holds its key
+ */
+function createIdempotency({ store, windowMs, leaseMs = 60 * 1000 }) {
+  /**
+   * Express middleware. Put it before the rate limiter so replays don't
+   * count against the limits.
+   *
+   * @param {{ naturalKey?: (req) => string|null|undefined }} options
+   */
+  function idempotent({ naturalKey = () => null } = {}) {
+    return async (req, res, next) => {
+      const headerKey = req.get('Idempotency-Key');
+      const fallbackKey = headerKey ? null : naturalKey(req);
+
+      if (!headerKey && !fallbackKey) return next();
+
+      if (headerKey && headerKey.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+        });
+      }
+
+      const clientId = req.client ? req.client.id : 'anonymous';
+      const key = headerKey
+        ? `${clientId}:${req.path}:key:${headerKey}`
+        : `${clientId}:${req.path}:natural:${fallbackKey}`;
+      const fingerprint = hashBody(req.body);
+      const owner = crypto.randomUUID();
+
+      try {
+        const now = Date.now();
+        let existing = null;
+
+        await store.update(key, (entry) => {
+          if (entry && entry.expiresAt > now) {
+            existing = entry;
+            return undefined;
+          }
+          return { fingerprint, status: 'processing', owner, expiresAt: now + leaseMs };
+        });
+
+        if (existing) {
+          if (existing.fingerprint !== fingerprint) {
+            return res.status(422).json({
+              success: false,
+              error: headerKey
+                ? 'Idempotency-Key was already used with a different request'
+                : `A different request was already made for "${fallbackKey}"`
+            });
+          }
+
+          if (existing.status === 'processing') {
+            res.set('Retry-After', '1');
+            return res.status(409).json({
+              success: false,
+              error: 'A request with the same idempotency key is still being processed'
+            });
+          }
+
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(existing.statusCode).json(existing.body);
+        }
+      } catch (error) {
+        console.error('Error checking idempotency key:', error);
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to check idempotency key'
+        });
+      }
+
+      // Keep the response once it is sent, or free the key when the request failed
+      let responseBody;
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        responseBody = body;
+        return json(body);
+      };
+
+      let settled = false;
+      const settle = async () => {
+        if (settled) return;
+        settled = true;
+
+        try {
+          const completed = res.statusCode >= 200 && res.statusCode < 300 && responseBody !== undefined;
+          await store.update(key, (entry) => {
+            if (!entry || entry.owner !== owner) return undefined;
+            return completed
+              ? { fingerprint, status: 'completed', statusCode: res.statusCode, body: responseBody, expiresAt: Date.now() + windowMs }
+              : null;
+          });
+        } catch (error) {
+          console.error('Error saving idempotent response:', error);
+        }
+      };
+      res.on('finish', settle);
+      res.on('close', settle);
+
+      req.idempotencyKey = key;
+      next();
+    };
+  }
+
+  /**
+   * Forgets a key, so the same request can be made again.
+   */
+  async function release(key) {
+    return store.delete(key);
+  }
+
+  /**
+   * Removes keys whose window has passed.
+   */
+  async function purge() {
+    const now = Date.now();
+    for (const [key, value] of await store.entries()) {
+      if (value.expiresAt <= now) await store.delete(key);
+    }
+  }
+
+  return { idempotent, release, purge };
+}
+
+/**
+ * Hash of the body with object keys sorted, so key order doesn't matter.
+ */
+function hashBody(body) {
+  return crypto.createHash('sha256').update(JSON.stringify(sortKeys(body === undefined ? null : body))).digest('hex');
+}
+
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map((key) => [key, sortKeys(value[key])]));
+  }
+  return value;
+}
+
+module.exports = { createIdempotency };
@@ -0,0 +1,74 @@
+/**
+ * Attachments in the shape the transports take (SendGrid's):
+ *   { content: <base64>, filename, type, disposition: 'attachment' }
+ *
+ * Routes accept attachments as { content (base64), filename, type } and
+ * check them here before queueing, so an oversized or dangerous file is
+ * refused up front rather than by the provider after retries.
+ */
+
+// Files mail clients may run when opened; SendGrid refuses most of them anyway
+const BLOCKED_EXTENSIONS = new Set([
+  'bat', 'cmd', 'com', 'cpl', 'dll', 'exe', 'hta', 'jar', 'js', 'jse', 'lnk', 'msi',
+  'ps1', 'reg', 'scr', 'sh', 'vb', 'vbe', 'vbs', 'wsf'
+]);
+
+/**
+ * Builds an attachment from a Buffer or base64 content.
+ * Path separators and control characters are removed from the filename.
+ */
+function toAttachment({ content, filename, type = 'application/octet-stream' }) {
+  return {
+    content: Buffer.isBuffer(content) ? content.toString('base64') : String(content).replace(/\s+/g, ''),
+    filename: String(filename).replace(/[\\/\u0000-\u001f\u007f]+/g, '_').trim() || 'attachment',
+    type,
+    disposition: 'attachment'
+  };
+}
+
+/**
+ * Checks attachments against the size limits and blocked file types.
+ * Takes [{ field, attachment }] and returns errors shaped like the
+ * validation ones ({ field, code, message }), empty when all is well.
+ *
+ * @param {Array<{ field: string, attachment: object }>} entries
+ * @param {{ maxBytes: number, maxTotalBytes: number }} limits
+ */
+function checkAttachments(entries, { maxBytes, maxTotalBytes }) {
+  const errors = [];
+  let totalBytes = 0;
+
+  for (const { field, attachment } of entries) {
+    const bytes = sizeOf(attachment);
+    const extension = attachment.filename.includes('.') ? attachment.filename.split('.').pop().toLowerCase() : '';
+    totalBytes += bytes;
+
+    if (BLOCKED_EXTENSIONS.has(extension)) {
+      errors.push({ field, code: 'ATTACHMENT_TYPE_NOT_ALLOWED', message: `${field} has a file type that can't be attached (.${extension})` });
+    }
+    if (bytes > maxBytes) {
+      errors.push({ field, code: 'ATTACHMENT_TOO_LARGE', message: `${field} must be at most ${formatBytes(maxBytes)}` });
+    }
+  }
+
+  if (totalBytes > maxTotalBytes) {
+    errors.push({ field: null, code: 'ATTACHMENTS_TOO_LARGE', message: `Attachments must be at most ${formatBytes(maxTotalBytes)} in total` });
+  }
+
+  return errors;
+}
+
+/**
+ * Decoded size of a base64 attachment, in bytes.
+ */
+function sizeOf(attachment) {
+  const { content } = attachment;
+  const padding = content.endsWith('==') ? 2 : content.endsWith('=') ? 1 : 0;
+  return Math.floor((content.length * 3) / 4) - padding;
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+module.exports = { toAttachment, checkAttachments };
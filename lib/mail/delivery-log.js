@@ -0,0 +1,219 @@
+const { normalizeEmail } = require('../util');
+
+/**
+ * Per-message delivery history.
+ *
+ * Every queued email gets a record keyed by the queue's message id:
+ *
+ *   {
+ *     id, template, to,
+ *     hasText,             // false when the message went out without a plain-text part
+ *     related: { invoiceId, transferId, userId },
+ *     scheduledFor,        // when a message queued for later is due, else null
+ *     providerMessageId,   // set once the provider accepts the message
+ *     status,              // scheduled | queued | retrying | sent | failed | discarded | suppressed | cancelled,
+ *                          // then from provider events: processed | deferred | delivered |
+ *                          // opened | clicked | bounced | dropped | complained | unsubscribed
+ *     attempts, lastError,
+ *     events: [{ status, at, detail?, eventId? }],
+ *     createdAt, updatedAt
+ *   }
+ *
+ * Timestamps are ISO strings so records can be returned by the API as is.
+ * Records are kept one per entry (see lib/stores, `perEntry`). The index
+ * store maps provider message ids ("provider:<id>") and recipients
+ * ("to:<email>") back to record ids, so webhook events and lookups by
+ * email don't scan the whole log.
+ *
+ * @param {object} options
+ * @param {object} options.store - Store holding the records
+ * @param {object} options.index - Store holding the lookups above
+ * @param {number} [options.maxEvents] - Oldest events are dropped beyond this
+ */
+// Later stages win: an "opened" event arriving before "delivered" must not
+// roll the status back. Terminal outcomes share the top rank.
+const STATUS_RANK = {
+  scheduled: 0,
+  queued: 0,
+  retrying: 1,
+  sent: 2,
+  processed: 2,
+  deferred: 3,
+  delivered: 4,
+  opened: 5,
+  clicked: 6,
+  failed: 7,
+  discarded: 7,
+  suppressed: 7,
+  cancelled: 7,
+  bounced: 7,
+  dropped: 7,
+  complained: 7,
+  unsubscribed: 7
+};
+
+function createDeliveryLog({ store, index, maxEvents = 50 }) {
+  async function record(id, { template, to, related = {}, hasText = true, scheduledFor = null }) {
+    const now = new Date().toISOString();
+    const status = scheduledFor ? 'scheduled' : 'queued';
+    const recipient = normalizeEmail(to);
+
+    // Indexed first: a lookup skips ids whose record is missing, but a
+    // record missing from the index could never be found by address
+    await index.update(`to:${recipient}`, (ids) => [...(ids || []), id]);
+
+    await store.set(id, {
+      id,
+      template,
+      to: recipient,
+      // Ids may come as numbers; kept as strings so query-string filters match them
+      related: Object.fromEntries(Object.entries(compact(related)).map(([key, value]) => [key, String(value)])),
+      hasText,
+      scheduledFor,
+      providerMessageId: null,
+      status,
+      attempts: 0,
+      lastError: null,
+      events: [scheduledFor ? { status, at: now, detail: `for ${scheduledFor}` } : { status, at: now }],
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  /**
+   * Moves a record to a new status, merging `changes` into it and appending
+   * an event. Unknown ids are ignored, so a missing record never fails a send.
+   */
+  async function setStatus(id, status, { detail, ...changes } = {}) {
+    const now = new Date().toISOString();
+    const event = detail ? { status, at: now, detail } : { status, at: now };
+
+    const updated = await store.update(id, (entry) => {
+      if (!entry) return undefined;
+      return {
+        ...entry,
+        ...changes,
+        status,
+        events: [...entry.events, event].slice(-maxEvents),
+        updatedAt: now
+      };
+    });
+
+    if (updated && changes.providerMessageId) await index.set(`provider:${changes.providerMessageId}`, id);
+    return updated;
+  }
+
+  /**
+   * Applies an event reported by the mail provider. Events carrying an
+   * `eventId` already seen are ignored, since webhooks may be redelivered.
+   * Returns false when the message is unknown or the event a duplicate.
+   */
+  async function applyProviderEvent(id, { status, at, detail, eventId }) {
+    let applied = false;
+    const event = { status, at: at || new Date().toISOString() };
+    if (detail) event.detail = detail;
+    if (eventId) event.eventId = eventId;
+
+    await store.update(id, (entry) => {
+      if (!entry) return undefined;
+      if (eventId && entry.events.some((e) => e.eventId === eventId)) return undefined;
+
+      applied = true;
+      const advances = (STATUS_RANK[status] || 0) >= (STATUS_RANK[entry.status] || 0);
+      return {
+        ...entry,
+        status: advances ? status : entry.status,
+        events: [...entry.events, event].slice(-maxEvents),
+        updatedAt: new Date().toISOString()
+      };
+    });
+
+    return applied;
+  }
+
+  async function get(id) {
+    return store.get(id);
+  }
+
+  /**
+   * Finds the record for a provider message id. SendGrid's event ids extend
+   * the X-Message-Id returned on send ("<id>.filter..."), so the part before
+   * the first dot is looked up as well.
+   */
+  async function findByProviderMessageId(providerMessageId) {
+    if (!providerMessageId) return null;
+
+    const id = await index.get(`provider:${providerMessageId}`)
+      || await index.get(`provider:${providerMessageId.split('.')[0]}`);
+    return id ? store.get(id) : null;
+  }
+
+  /**
+   * Lists records matching every given filter, newest first.
+   */
+  async function find({ email, template, invoiceId, transferId, userId, hasText, limit = 50 } = {}) {
+    const recipient = email ? normalizeEmail(email) : null;
+    const related = compact({ invoiceId, transferId, userId });
+
+    // Records for one address come from the index; other filters scan the log
+    const entries = recipient
+      ? await Promise.all(((await index.get(`to:${recipient}`)) || []).map((id) => store.get(id)))
+      : (await store.entries()).map(([, entry]) => entry);
+
+    return entries
+      .filter((entry) => (
+        entry
+        && (!recipient || entry.to === recipient)
+        && (!template || entry.template === template)
+        && (hasText === undefined || (entry.hasText !== false) === hasText)
+        && Object.entries(related).every(([key, value]) => (
+          entry.related[key] !== undefined && String(entry.related[key]) === String(value)
+        ))
+      ))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Removes records not touched for `maxAgeMs`.
+   */
+  async function purge(maxAgeMs) {
+    const cutoff = new Date(Date.now() - maxAgeMs).toISOString();
+    for (const [id, entry] of await store.entries()) {
+      if (entry.updatedAt >= cutoff) continue;
+      await store.delete(id);
+      await index.update(`to:${entry.to}`, (ids) => {
+        const remaining = (ids || []).filter((other) => other !== id);
+        return remaining.length ? remaining : null;
+      });
+      if (entry.providerMessageId) await index.delete(`provider:${entry.providerMessageId}`);
+    }
+  }
+
+  /**
+   * Indexes records written before the log had an index. Does nothing once
+   * the index has entries, so it can run on every start.
+   */
+  async function buildIndex() {
+    if (await index.size() > 0) return 0;
+
+    const entries = await store.entries();
+    const byRecipient = new Map();
+    for (const [id, entry] of entries) {
+      byRecipient.set(entry.to, [...(byRecipient.get(entry.to) || []), id]);
+      if (entry.providerMessageId) await index.set(`provider:${entry.providerMessageId}`, id);
+    }
+    for (const [recipient, ids] of byRecipient) {
+      await index.update(`to:${recipient}`, (current) => [...new Set([...(current || []), ...ids])]);
+    }
+    return entries.length;
+  }
+
+  return { record, setStatus, applyProviderEvent, get, findByProviderMessageId, find, purge, buildIndex };
+}
+
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+}
+
+module.exports = { createDeliveryLog };
@@ -0,0 +1,30 @@
+const SendGridTransport = require('./transports/sendgrid');
+const SmtpTransport = require('./transports/smtp');
+const FileTransport = require('./transports/file');
+const ConsoleTransport = require('./transports/console');
+
+/**
+ * Creates the mail transport selected by config.
+ *
+ * Every transport exposes `send(msg)`, takes a SendGrid-style message
+ * ({ to, from, subject, text, html, ... }) and resolves to { messageId }.
+ *
+ * @param {'sendgrid'|'smtp'|'file'|'console'} name
+ * @param {object} options - Settings for the chosen transport
+ */
+function createTransport(name, options = {}) {
+  switch (name) {
+    case 'sendgrid':
+      return new SendGridTransport(options.sendgrid || {});
+    case 'smtp':
+      return new SmtpTransport(options.smtp || {});
+    case 'file':
+      return new FileTransport(options.file || {});
+    case 'console':
+      return new ConsoleTransport();
+    default:
+      throw new Error(`Unknown mail transport: ${name}`);
+  }
+}
+
+module.exports = { createTransport };
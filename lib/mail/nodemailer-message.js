@@ -0,0 +1,29 @@
+/**
+ * Converts a SendGrid-style message into nodemailer's format.
+ * Routes build messages in SendGrid's shape, so the SMTP and file
+ * transports translate them here.
+ */
+function toAddress(value) {
+  if (!value || typeof value === 'string') return value;
+  return { address: value.email, name: value.name };
+}
+
+function toNodemailerMessage(msg) {
+  return {
+    from: toAddress(msg.from),
+    to: Array.isArray(msg.to) ? msg.to.map(toAddress) : toAddress(msg.to),
+    replyTo: toAddress(msg.replyTo),
+    subject: msg.subject,
+    text: msg.text,
+    html: msg.html,
+    headers: msg.headers,
+    attachments: (msg.attachments || []).map((attachment) => ({
+      filename: attachment.filename,
+      content: Buffer.from(attachment.content, 'base64'),
+      contentType: attachment.type,
+      contentDisposition: attachment.disposition
+    }))
+  };
+}
+
+module.exports = { toNodemailerMessage };
@@ -0,0 +1,329 @@
+const { v4: uuidv4 } = require('uuid');
+
+const TRANSIENT_NETWORK_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ESOCKET', 'ECONNECTION', 'EPIPE'];
+
+/**
+ * Persistent outbound mail queue.
+ *
+ * Routes enqueue messages and return straight away; a worker polls the
+ * store and delivers them through the transport. Transient failures (429,
+ * 5xx, SMTP 4xx, network errors) are retried with exponential backoff; any
+ * other failure, or running out of attempts, moves the message to the
+ * dead-letter store where it can be inspected and replayed.
+ *
+ * Jobs are claimed with a lock that expires, so several instances can work
+ * the same store and a job held by a crashed worker is picked up again.
+ *
+ * A message can be scheduled for later: it waits in the store until its
+ * time comes, so it survives restarts, and can be cancelled until then.
+ *
+ * The worker reads every pending job each time it polls, so attachments
+ * (base64, up to several MB) are kept apart in `attachmentStore` and only
+ * loaded when their message is sent. Dead letters keep theirs inline.
+ *
+ * @param {object} options
+ * @param {object} options.store - Store holding pending jobs
+ * @param {object} options.attachmentStore - Store holding the attachments of pending jobs
+ * @param {object} options.deadLetterStore - Store holding failed jobs
+ * @param {object} options.transport - Mail transport (see lib/mail)
+ * @param {object} [options.deliveryLog] - Delivery log to keep up to date (see delivery-log.js)
+ * @param {object} [options.suppressions] - Suppression list checked before each delivery (see lib/suppressions)
+ * @param {number} [options.maxAttempts]
+ * @param {number} [options.baseDelayMs] - Delay before the first retry, doubled each time
+ * @param {number} [options.maxDelayMs]
+ * @param {number} [options.pollIntervalMs]
+ * @param {number} [options.lockMs] - How long a worker may hold a job
+ */
+function createMailQueue({
+  store,
+  attachmentStore,
+  deadLetterStore,
+  transport,
+  deliveryLog = null,
+  suppressions = null,
+  maxAttempts = 8,
+  baseDelayMs = 5000,
+  maxDelayMs = 60 * 60 * 1000,
+  pollIntervalMs = 1000,
+  lockMs = 5 * 60 * 1000
+}) {
+  const workerId = uuidv4();
+  let timer = null;
+  let polling = false;
+
+  /**
+   * Adds a message to the queue and returns its id.
+   * `meta` is kept with the job, e.g.
+   * { template: 'invoice', category: 'transactional', related: { invoiceId } }.
+   * `sendAt` (ms timestamp) holds the message back until then; times in
+   * the past send straight away.
+   */
+  async function enqueue(msg, meta = {}, { sendAt = null } = {}) {
+    const id = uuidv4();
+    const now = Date.now();
+    const scheduledFor = sendAt && sendAt > now ? sendAt : null;
+
+    // Every message should carry a text alternative (see lib/templates/html-to-text)
+    if (!msg.text) {
+      console.warn(`⚠️  Message ${id} (${meta.template || 'no template'}) has no plain-text part`);
+    }
+
+    if (deliveryLog) {
+      await deliveryLog.record(id, {
+        template: meta.template,
+        to: msg.to,
+        related: meta.related,
+        hasText: Boolean(msg.text),
+        scheduledFor: scheduledFor ? new Date(scheduledFor).toISOString() : null
+      });
+    }
+
+    const { attachments, ...content } = msg;
+    if (attachments && attachments.length) await attachmentStore.set(id, attachments);
+
+    await store.set(id, {
+      id,
+      // Echoed back by SendGrid's event webhook, which is how events find their message
+      msg: { ...content, customArgs: { ...msg.customArgs, messageId: id } },
+      hasAttachments: Boolean(attachments && attachments.length),
+      meta,
+      status: 'queued',
+      attempts: 0,
+      availableAt: scheduledFor || now,
+      scheduledFor,
+      lockedUntil: null,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    // Don't wait for the next tick of the worker
+    if (timer && !scheduledFor) setImmediate(poll);
+    return id;
+  }
+
+  /**
+   * Cancels a scheduled message that hasn't started sending.
+   * Returns false when there is no such message waiting.
+   */
+  async function cancel(id) {
+    let cancelled = false;
+
+    await store.update(id, (job) => {
+      if (!job || !job.scheduledFor || job.status !== 'queued') return undefined;
+      cancelled = true;
+      return null;
+    });
+
+    if (cancelled) {
+      await attachmentStore.delete(id);
+      await logStatus(id, 'cancelled');
+    }
+    return cancelled;
+  }
+
+  async function claim(id) {
+    const now = Date.now();
+
+    const job = await store.update(id, (current) => {
+      if (!isClaimable(current, now)) return undefined;
+      return { ...current, status: 'sending', lockedUntil: now + lockMs, workerId, updatedAt: now };
+    });
+
+    return job && job.workerId === workerId && job.status === 'sending' ? job : null;
+  }
+
+  async function deliver(job) {
+    // Checked at delivery time so addresses suppressed while a message waits are honoured
+    const suppression = suppressions && await suppressions.check(job.msg.to, job.meta.category);
+    if (suppression) {
+      await store.delete(job.id);
+      await attachmentStore.delete(job.id);
+      await logStatus(job.id, 'suppressed', { detail: `recipient suppressed (${suppression.reason})` });
+      console.log(`🚫 Message ${job.id} not sent, ${job.msg.to} is suppressed (${suppression.reason})`);
+      return;
+    }
+
+    try {
+      const { messageId } = await transport.send(await fullMessage(job));
+      await store.delete(job.id);
+      await attachmentStore.delete(job.id);
+      await logStatus(job.id, 'sent', { attempts: job.attempts + 1, providerMessageId: messageId || null });
+      console.log(`📤 Delivered message ${job.id} to ${job.msg.to}`);
+    } catch (error) {
+      const attempts = job.attempts + 1;
+      const lastError = describeError(error);
+
+      if (isTransient(error) && attempts < maxAttempts) {
+        const delay = Math.min(baseDelayMs * 2 ** (attempts - 1), maxDelayMs);
+        const now = Date.now();
+
+        await store.set(job.id, {
+          ...job,
+          status: 'queued',
+          attempts,
+          // Up to 20% jitter so a burst of failures doesn't retry in lockstep
+          availableAt: now + delay + Math.floor(Math.random() * delay * 0.2),
+          lockedUntil: null,
+          lastError,
+          updatedAt: now
+        });
+        await logStatus(job.id, 'retrying', { attempts, lastError, detail: lastError });
+        console.warn(`⚠️  Message ${job.id} failed (attempt ${attempts}/${maxAttempts}), retrying: ${lastError}`);
+        return;
+      }
+
+      await deadLetterStore.set(job.id, {
+        ...job,
+        msg: await fullMessage(job),
+        status: 'dead',
+        attempts,
+        lockedUntil: null,
+        lastError,
+        failedAt: Date.now(),
+        updatedAt: Date.now()
+      });
+      await store.delete(job.id);
+      await attachmentStore.delete(job.id);
+      await logStatus(job.id, 'failed', { attempts, lastError, detail: lastError });
+      console.error(`❌ Message ${job.id} moved to dead letters: ${lastError}`);
+    }
+  }
+
+  async function fullMessage(job) {
+    if (!job.hasAttachments) return job.msg;
+    return { ...job.msg, attachments: await attachmentStore.get(job.id) };
+  }
+
+  async function logStatus(id, status, changes) {
+    if (!deliveryLog) return;
+    try {
+      await deliveryLog.setStatus(id, status, changes);
+    } catch (error) {
+      // The log is informational; never let it undo or repeat a delivery
+      console.error(`Error updating delivery log for ${id}:`, error);
+    }
+  }
+
+  async function poll() {
+    if (polling) return;
+    polling = true;
+
+    try {
+      const now = Date.now();
+      const due = (await store.entries())
+        .map(([, job]) => job)
+        .filter((job) => isClaimable(job, now))
+        .sort((a, b) => a.availableAt - b.availableAt);
+
+      for (const candidate of due) {
+        const job = await claim(candidate.id);
+        if (job) await deliver(job);
+      }
+    } catch (error) {
+      console.error('Error processing mail queue:', error);
+    } finally {
+      polling = false;
+    }
+  }
+
+  function start() {
+    if (!timer) timer = setInterval(poll, pollIntervalMs);
+    setImmediate(poll);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  async function get(id) {
+    return store.get(id);
+  }
+
+  async function listDeadLetters() {
+    return (await deadLetterStore.entries())
+      .map(([, job]) => job)
+      .sort((a, b) => b.failedAt - a.failedAt);
+  }
+
+  async function getDeadLetter(id) {
+    return deadLetterStore.get(id);
+  }
+
+  /**
+   * Moves a dead letter back into the queue with a fresh set of attempts.
+   * Returns false when there is no such dead letter.
+   */
+  async function replay(id) {
+    const deadLetter = await deadLetterStore.get(id);
+    if (!deadLetter) return false;
+
+    const { failedAt, msg: { attachments, ...content }, ...job } = deadLetter;
+    const now = Date.now();
+    if (attachments && attachments.length) await attachmentStore.set(id, attachments);
+    await store.set(id, {
+      ...job,
+      msg: content,
+      hasAttachments: Boolean(attachments && attachments.length),
+      status: 'queued',
+      attempts: 0,
+      availableAt: now,
+      lockedUntil: null,
+      updatedAt: now
+    });
+    await deadLetterStore.delete(id);
+    await logStatus(id, 'queued', { attempts: 0, detail: 'replayed' });
+
+    if (timer) setImmediate(poll);
+    return true;
+  }
+
+  async function discard(id) {
+    const removed = await deadLetterStore.delete(id);
+    if (removed) await logStatus(id, 'discarded');
+    return removed;
+  }
+
+  async function stats() {
+    return {
+      pending: await store.size(),
+      deadLetters: await deadLetterStore.size()
+    };
+  }
+
+  return { enqueue, cancel, start, stop, poll, get, listDeadLetters, getDeadLetter, replay, discard, stats };
+}
+
+function isClaimable(job, now) {
+  if (!job) return false;
+  if (job.status === 'queued') return job.availableAt <= now;
+  // A worker that died mid-send leaves its lock behind
+  return job.status === 'sending' && job.lockedUntil < now;
+}
+
+function statusOf(error) {
+  // SendGrid puts the HTTP status in `code`, nodemailer uses `responseCode`
+  if (typeof error.code === 'number') return error.code;
+  if (error.response && typeof error.response.statusCode === 'number') return error.response.statusCode;
+  if (typeof error.responseCode === 'number') return error.responseCode;
+  return null;
+}
+
+function isTransient(error) {
+  // SMTP replies: 4xx are temporary failures, 5xx permanent ones
+  if (typeof error.responseCode === 'number') {
+    return error.responseCode >= 400 && error.responseCode < 500;
+  }
+
+  const status = statusOf(error);
+  if (status === 429 || (status >= 500 && status < 600)) return true;
+  return TRANSIENT_NETWORK_ERRORS.includes(error.code);
+}
+
+function describeError(error) {
+  const status = statusOf(error);
+  return status ? `${status} ${error.message}` : error.message;
+}
+
+module.exports = { createMailQueue };
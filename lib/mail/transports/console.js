@@ -0,0 +1,27 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Prints messages to stdout instead of sending them.
+ */
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(msg) {
+    const messageId = uuidv4();
+    const from = typeof msg.from === 'string' ? msg.from : msg.from.email;
+
+    console.log(`
+📨 [console transport] ${messageId}
+   From:    ${from}
+   To:      ${msg.to}
+   Subject: ${msg.subject}
+${msg.text || '(no text part)'}
+`);
+
+    return { messageId };
+  }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,33 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { v4: uuidv4 } = require('uuid');
+const { toNodemailerMessage } = require('../nodemailer-message');
+
+/**
+ * Writes every message to an outbox directory instead of sending it:
+ * `<id>.json` holds the message as the routes built it and `<id>.eml`
+ * the MIME version, which opens in any mail client.
+ */
+class FileTransport {
+  constructor({ outboxDir }) {
+    this.name = 'file';
+    this.outboxDir = outboxDir;
+    this.composer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+    fs.mkdirSync(outboxDir, { recursive: true });
+  }
+
+  async send(msg) {
+    const messageId = `${Date.now()}-${uuidv4()}`;
+    const info = await this.composer.sendMail(toNodemailerMessage(msg));
+
+    const basePath = path.join(this.outboxDir, messageId);
+    await fs.promises.writeFile(`${basePath}.json`, JSON.stringify(msg, null, 2));
+    await fs.promises.writeFile(`${basePath}.eml`, info.message);
+
+    return { messageId };
+  }
+}
+
+module.exports = FileTransport;
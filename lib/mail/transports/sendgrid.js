@@ -0,0 +1,18 @@
+const sgMail = require('@sendgrid/mail');
+
+/**
+ * Delivers through the SendGrid Web API.
+ */
+class SendGridTransport {
+  constructor({ apiKey }) {
+    this.name = 'sendgrid';
+    sgMail.setApiKey(apiKey);
+  }
+
+  async send(msg) {
+    const [response] = await sgMail.send(msg);
+    return { messageId: response.headers['x-message-id'] || null };
+  }
+}
+
+module.exports = SendGridTransport;
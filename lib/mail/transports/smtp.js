@@ -0,0 +1,24 @@
+const nodemailer = require('nodemailer');
+const { toNodemailerMessage } = require('../nodemailer-message');
+
+/**
+ * Delivers through any SMTP server (e.g. a local MailHog/Mailpit in CI).
+ */
+class SmtpTransport {
+  constructor({ host, port, secure, user, pass }) {
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  async send(msg) {
+    const info = await this.transporter.sendMail(toNodemailerMessage(msg));
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,130 @@
+const { normalizeEmail } = require('./util');
+
+/**
+ * Fixed-window rate limits per recipient, per client IP and per API client,
+ * plus a cooldown between sends of one kind of email to the same address.
+ *
+ * Counters live in a store (see lib/stores), so instances sharing a store
+ * share the limits.
+ *
+ * @param {object} options
+ * @param {object} options.store - Store for counters and cooldowns
+ * @param {{ max: number, windowMs: number }|null} [options.perEmail]
+ * @param {{ max: number, windowMs: number }|null} [options.perIp]
+ * @param {{ max: number, windowMs: number }|null} [options.perClient]
+ * @param {number} [options.cooldownMs] - Minimum gap between cooldown-enabled sends to one address
+ */
+function createRateLimiter({ store, perEmail = null, perIp = null, perClient = null, cooldownMs = 0 }) {
+  /**
+   * Counts one hit against a bucket, unless it is already full.
+   * Returns the number of seconds to wait, or 0 when the hit was allowed.
+   */
+  async function hit(key, { max, windowMs }) {
+    const now = Date.now();
+    let retryAfter = 0;
+
+    await store.update(key, (bucket) => {
+      if (!bucket || bucket.resetAt <= now) {
+        return { count: 1, resetAt: now + windowMs };
+      }
+      if (bucket.count >= max) {
+        retryAfter = Math.ceil((bucket.resetAt - now) / 1000);
+        return undefined;
+      }
+      return { ...bucket, count: bucket.count + 1 };
+    });
+
+    return retryAfter;
+  }
+
+  async function startCooldown(purpose, email) {
+    const now = Date.now();
+    let retryAfter = 0;
+
+    // Per purpose, so a verification email doesn't hold up a password reset
+    await store.update(`cooldown:${purpose}:${email}`, (cooldown) => {
+      if (cooldown && cooldown.resetAt > now) {
+        retryAfter = Math.ceil((cooldown.resetAt - now) / 1000);
+        return undefined;
+      }
+      return { resetAt: now + cooldownMs };
+    });
+
+    return retryAfter;
+  }
+
+  /**
+   * Express middleware for send routes. Reads the recipient from req.body.email,
+   * the client from req.client (set by the auth middleware) and answers 429
+   * with Retry-After when any limit is reached.
+   *
+   * @param {{ cooldown?: string }} options - Enforce the resend cooldown on this route,
+   *   shared by the routes sending the same kind of email (e.g. 'email-verification')
+   */
+  function limit({ cooldown = null } = {}) {
+    return async (req, res, next) => {
+      try {
+        const email = typeof req.body.email === 'string' ? normalizeEmail(req.body.email) : null;
+        const checks = [
+          [perClient && req.client, () => hit(`client:${req.client.id}`, perClient), 'client'],
+          [perIp, () => hit(`ip:${req.ip}`, perIp), 'ip'],
+          [perEmail && email, () => hit(`email:${email}`, perEmail), 'email'],
+          [cooldown && cooldownMs > 0 && email, () => startCooldown(cooldown, email), 'cooldown']
+        ];
+
+        for (const [enabled, check, reason] of checks) {
+          if (!enabled) continue;
+
+          const retryAfter = await check();
+          if (retryAfter > 0) {
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+              success: false,
+              error: reason === 'cooldown'
+                ? 'Please wait before requesting another email for this address'
+                : 'Too many requests, please try again later',
+              limit: reason,
+              retryAfter
+            });
+          }
+        }
+
+        next();
+      } catch (error) {
+        console.error('Error applying rate limits:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to apply rate limits'
+        });
+      }
+    };
+  }
+
+  /**
+   * Removes counters and cooldowns whose window has passed.
+   */
+  async function purge() {
+    const now = Date.now();
+    for (const [key, value] of await store.entries()) {
+      if (value.resetAt <= now) await store.delete(key);
+    }
+  }
+
+  return { limit, purge };
+}
+
+/**
+ * Parses a "<max>/<seconds>" limit such as "5/3600".
+ * Empty, "0" or "off" disables the limit.
+ */
+function parseLimit(value) {
+  if (!value || value === '0' || value === 'off') return null;
+
+  const [max, seconds] = value.split('/').map(Number);
+  if (!Number.isInteger(max) || max <= 0 || !Number.isFinite(seconds) || seconds <= 0) {
+    throw new Error(`Invalid rate limit "${value}", expected "<max>/<seconds>"`);
+  }
+  return { max, windowMs: seconds * 1000 };
+}
+
+module.exports = { createRateLimiter, parseLimit };
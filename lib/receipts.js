@@ -0,0 +1,208 @@
+const PDFDocument = require('pdfkit');
+
+const BRAND = '#667eea';
+const TEXT = '#1e293b';
+const MUTED = '#64748b';
+const RULE = '#e2e8f0';
+
+/**
+ * Branded PDF receipts for the invoice email.
+ *
+ * Amounts are in major units (7.99). Line items are priced VAT inclusive
+ * unless `vatInclusive` is false, in which case VAT is added on top.
+ * Without line items the receipt has a single line for `amount`.
+ *
+ * Labels come from the "receipt" section of the message catalogs.
+ *
+ * @param {object} options
+ * @param {object} options.i18n - Instance from lib/i18n
+ * @param {string} [options.sellerName]
+ * @param {string} [options.sellerEmail]
+ */
+function createReceiptRenderer({ i18n, sellerName = 'DriveCore UK', sellerEmail = 'support@drivecore.co.uk' }) {
+  /**
+   * Renders a receipt and resolves to the PDF as a Buffer.
+   *
+   * @param {object} receipt
+   * @param {string} receipt.invoiceId
+   * @param {number|string} receipt.amount - Total charged, used when there are no line items
+   * @param {string} [receipt.currency]
+   * @param {Array<{ description: string, quantity?: number, unitAmount: number }>} [receipt.lineItems]
+   * @param {number} [receipt.vatRate] - Percentage, e.g. 20
+   * @param {boolean} [receipt.vatInclusive]
+   * @param {string} [receipt.vatNumber] - Seller's VAT registration number
+   * @param {object} [receipt.billingAddress] - { name, company, line1, line2, city, postalCode, country }
+   * @param {string} [receipt.email]
+   * @param {string} [receipt.issuedAt] - ISO date, defaults to now
+   * @param {{ locale?: string }} [options]
+   */
+  function render(receipt, { locale = i18n.defaultLocale } = {}) {
+    const t = (key, params) => clean(i18n.translate(locale, `receipt.${key}`, params, { transform: stripMarkup }));
+    const money = (value) => clean(i18n.formatMoney(locale, value, receipt.currency));
+    const totals = computeTotals(receipt);
+
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: { Title: t('documentTitle', { invoiceId: receipt.invoiceId }), Author: sellerName }
+    });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    // Header band
+    doc.rect(0, 0, doc.page.width, 110).fill(BRAND);
+    doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(26).text('DriveCore', left, 40);
+    doc.font('Helvetica').fontSize(11).text(t('tagline'), left, 72);
+    doc.font('Helvetica-Bold').fontSize(20).text(t('title').toUpperCase(), left, 48, { width, align: 'right' });
+
+    // Seller and receipt details
+    let y = 140;
+    doc.fillColor(TEXT).font('Helvetica-Bold').fontSize(10).text(sellerName, left, y);
+    doc.font('Helvetica').fillColor(MUTED).text(sellerEmail);
+    if (receipt.vatNumber) doc.text(t('vatNumber', { number: receipt.vatNumber }));
+
+    const details = [
+      [t('invoice'), receipt.invoiceId],
+      [t('date'), clean(i18n.formatDate(locale, receipt.issuedAt || new Date(), { withTime: false }))]
+    ];
+    details.forEach(([label, value], index) => {
+      doc.fillColor(MUTED).font('Helvetica').text(label, left + width / 2, y + index * 16, { width: width / 4 });
+      doc.fillColor(TEXT).font('Helvetica-Bold').text(clean(value), left + (width * 3) / 4, y + index * 16, { width: width / 4, align: 'right' });
+    });
+
+    // Billed to
+    y = Math.max(doc.y, y + 40) + 25;
+    const addressLines = formatAddress(receipt.billingAddress, receipt.email);
+    if (addressLines.length) {
+      doc.fillColor(MUTED).font('Helvetica').fontSize(9).text(t('billedTo').toUpperCase(), left, y);
+      doc.fillColor(TEXT).fontSize(10);
+      addressLines.forEach((line, index) => doc.font(index === 0 ? 'Helvetica-Bold' : 'Helvetica').text(clean(line)));
+      y = doc.y + 25;
+    }
+
+    // Line items
+    const columns = [
+      { key: 'description', x: left, width: width * 0.5, align: 'left' },
+      { key: 'quantity', x: left + width * 0.5, width: width * 0.1, align: 'right' },
+      { key: 'unitPrice', x: left + width * 0.6, width: width * 0.2, align: 'right' },
+      { key: 'amount', x: left + width * 0.8, width: width * 0.2, align: 'right' }
+    ];
+
+    doc.fillColor(MUTED).font('Helvetica-Bold').fontSize(9);
+    columns.forEach((column) => doc.text(t(column.key).toUpperCase(), column.x, y, { width: column.width, align: column.align }));
+    y += 16;
+    doc.moveTo(left, y).lineTo(left + width, y).strokeColor(RULE).stroke();
+    y += 10;
+
+    doc.font('Helvetica').fontSize(10).fillColor(TEXT);
+    for (const item of totals.lines) {
+      const cells = {
+        description: clean(item.description || t('defaultItem')),
+        quantity: String(item.quantity),
+        unitPrice: item.unitAmount === null ? '' : money(item.unitAmount),
+        amount: item.total === null ? clean(String(receipt.amount)) : money(item.total)
+      };
+      const rowHeight = doc.heightOfString(cells.description, { width: columns[0].width });
+
+      if (y + rowHeight > doc.page.height - 150) {
+        doc.addPage();
+        y = doc.page.margins.top;
+      }
+
+      columns.forEach((column) => doc.text(cells[column.key], column.x, y, { width: column.width, align: column.align }));
+      y += rowHeight + 8;
+    }
+
+    doc.moveTo(left, y).lineTo(left + width, y).strokeColor(RULE).stroke();
+    y += 12;
+
+    // Totals
+    const totalRows = [];
+    if (totals.total !== null && totals.vat !== null) {
+      totalRows.push([t('subtotal'), money(totals.net)]);
+      totalRows.push([t('vat', { rate: formatRate(locale, receipt.vatRate) }), money(totals.vat)]);
+    }
+    totalRows.push([t('total'), totals.total === null ? clean(String(receipt.amount)) : money(totals.total)]);
+
+    totalRows.forEach(([label, value], index) => {
+      const last = index === totalRows.length - 1;
+      doc.font(last ? 'Helvetica-Bold' : 'Helvetica').fontSize(last ? 12 : 10).fillColor(last ? BRAND : TEXT);
+      doc.text(label, left + width * 0.5, y, { width: width * 0.3, align: 'right' });
+      doc.text(value, left + width * 0.8, y, { width: width * 0.2, align: 'right' });
+      y += last ? 20 : 16;
+    });
+
+    // Footer
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED)
+      .text(t('thanks'), left, doc.page.height - 90, { width, align: 'center' })
+      .text(t('questions', { email: sellerEmail }), { width, align: 'center' });
+
+    return new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+      doc.end();
+    });
+  }
+
+  return { render };
+}
+
+/**
+ * Works out line totals, VAT and the grand total in minor units to avoid
+ * rounding drift. `total` is null when the amount isn't numeric (e.g. "£7.99").
+ */
+function computeTotals({ lineItems, amount, vatRate, vatInclusive = true }) {
+  const toMinor = (value) => Math.round(Number(value) * 100);
+  const fromMinor = (value) => value / 100;
+
+  const numericAmount = typeof amount === 'number' || /^\d+(\.\d+)?$/.test(String(amount));
+  const items = lineItems && lineItems.length
+    ? lineItems.map((item) => ({ ...item, quantity: item.quantity ?? 1 }))
+    : [{ description: null, quantity: 1, unitAmount: numericAmount ? Number(amount) : null }];
+
+  if (items.some((item) => item.unitAmount === null)) {
+    return { lines: items.map((item) => ({ ...item, total: null })), net: null, vat: null, total: null };
+  }
+
+  const lines = items.map((item) => ({ ...item, total: fromMinor(toMinor(item.unitAmount) * item.quantity) }));
+  const sum = lines.reduce((acc, line) => acc + toMinor(line.total), 0);
+
+  if (!vatRate) return { lines, net: fromMinor(sum), vat: null, total: fromMinor(sum) };
+
+  const vat = vatInclusive ? Math.round(sum - sum / (1 + vatRate / 100)) : Math.round((sum * vatRate) / 100);
+  const net = vatInclusive ? sum - vat : sum;
+  return { lines, net: fromMinor(net), vat: fromMinor(vat), total: fromMinor(net + vat) };
+}
+
+function formatAddress(address, email) {
+  const lines = address
+    ? [
+      address.name,
+      address.company,
+      address.line1,
+      address.line2,
+      [address.postalCode, address.city].filter(Boolean).join(' '),
+      address.country
+    ]
+    : [];
+  if (email) lines.push(email);
+  return lines.filter(Boolean);
+}
+
+function formatRate(locale, rate) {
+  return new Intl.NumberFormat(locale, { maximumFractionDigits: 2 }).format(rate);
+}
+
+// The built-in PDF fonts only cover Latin-1; narrow spaces from Intl would print as junk
+function clean(value) {
+  return String(value).replace(/[\u00a0\u202f]/g, ' ');
+}
+
+function stripMarkup(message) {
+  return message.replace(/<[^>]+>/g, '');
+}
+
+module.exports = { createReceiptRenderer, computeTotals };
@@ -0,0 +1,215 @@
+/**
+ * Request body schemas for each route (see lib/validation for the rules).
+ */
+
+const locale = { type: 'string', maxLength: 35, pattern: /^[A-Za-z]{2,3}([-_][A-Za-z0-9]{2,8})*$/, patternCode: 'LOCALE_INVALID' };
+const currency = { type: 'string', pattern: /^[A-Za-z]{3}$/, patternCode: 'CURRENCY_INVALID' };
+const billingInterval = { type: 'string', enum: ['month', 'year'] };
+const name = { type: 'string', maxLength: 100 };
+const verificationMode = { type: 'string', enum: ['link', 'code', 'both'] };
+// Delivery time for scheduled sends, at most a year ahead
+const sendAt = { type: 'date', maxAheadMs: 366 * 24 * 60 * 60 * 1000 };
+
+// Files sent inline as { content (base64), filename, type }; sizes are checked by lib/mail/attachments
+const attachmentProperties = {
+  content: { type: 'base64', required: true },
+  filename: { type: 'string', required: true, maxLength: 255 },
+  type: { type: 'string', maxLength: 100, pattern: /^[\w.+-]+\/[\w.+-]+$/, patternCode: 'MIME_TYPE_INVALID' }
+};
+const attachments = { type: 'array', maxItems: 10, items: { type: 'object', properties: attachmentProperties } };
+
+const sendVerification = {
+  email: { type: 'email', required: true },
+  userId: { type: 'id' },
+  callbackUrl: { type: 'url' },
+  mode: verificationMode,
+  sendAt,
+  locale
+};
+
+const verifyToken = {
+  token: { type: 'string', required: true, maxLength: 2000 }
+};
+
+const verifyCode = {
+  email: { type: 'email', required: true },
+  code: { type: 'string', required: true, pattern: /^\d{6}$/, patternCode: 'CODE_INVALID' }
+};
+
+const sendPasswordReset = {
+  email: { type: 'email', required: true },
+  userId: { type: 'id' },
+  firstName: name,
+  callbackUrl: { type: 'url' },
+  locale
+};
+
+// Device or session a sign-in link is bound to
+const deviceId = { type: 'string', required: true, maxLength: 200 };
+
+const sendMagicLink = {
+  email: { type: 'email', required: true },
+  userId: { type: 'id', required: true },
+  deviceId,
+  firstName: name,
+  callbackUrl: { type: 'url' },
+  locale
+};
+
+const consumeMagicLink = {
+  token: { type: 'string', required: true, maxLength: 2000 },
+  deviceId
+};
+
+const sendTransferNotification = {
+  email: { type: 'email', required: true },
+  transferId: { type: 'id', required: true },
+  trackerDetails: {
+    type: 'object',
+    required: true,
+    properties: {
+      imei: { type: 'id', required: true, maxLength: 32 },
+      vehicleName: name,
+      registrationNumber: { type: 'string', maxLength: 20 }
+    }
+  },
+  fromUserName: name,
+  fromEmail: { type: 'email' },
+  fromUserId: { type: 'id' },
+  subscriptionEndDate: { type: 'date' },
+  sendAt,
+  locale
+};
+
+const sendWelcomePurchase = {
+  email: { type: 'email', required: true },
+  userId: { type: 'id' },
+  firstName: { ...name, required: true },
+  planName: name,
+  planPrice: { type: 'money' },
+  currency,
+  billingInterval,
+  vehicleName: name,
+  callbackUrl: { type: 'url' },
+  mode: verificationMode,
+  sendAt,
+  locale
+};
+
+const sendDeviceAdded = {
+  email: { type: 'email', required: true },
+  userId: { type: 'id' },
+  firstName: { ...name, required: true },
+  vehicleName: { ...name, required: true },
+  planName: name,
+  planPrice: { type: 'money' },
+  currency,
+  billingInterval,
+  sendAt,
+  locale
+};
+
+const sendInvoice = {
+  email: { type: 'email', required: true },
+  invoiceId: { type: 'id', required: true },
+  amount: { type: 'money', required: true },
+  currency,
+  invoiceUrl: { type: 'url', required: true },
+  invoicePdf: { type: ['url', 'object'], properties: { ...attachmentProperties, filename: { type: 'string', maxLength: 255 } } },
+  lineItems: {
+    type: 'array',
+    maxItems: 100,
+    items: {
+      type: 'object',
+      properties: {
+        description: { type: 'string', required: true, maxLength: 200 },
+        quantity: { type: 'number', min: 0 },
+        unitAmount: { type: 'number', required: true, min: 0 }
+      }
+    }
+  },
+  vatRate: { type: 'number', min: 0, max: 100 },
+  vatInclusive: { type: 'boolean' },
+  vatNumber: { type: 'string', maxLength: 30 },
+  billingAddress: {
+    type: 'object',
+    properties: {
+      name,
+      company: name,
+      line1: { type: 'string', maxLength: 200 },
+      line2: { type: 'string', maxLength: 200 },
+      city: name,
+      postalCode: { type: 'string', maxLength: 20 },
+      country: name
+    }
+  },
+  issuedAt: { type: 'date' },
+  attachReceipt: { type: 'boolean' },
+  attachments,
+  sendAt,
+  locale
+};
+
+// Subscription lifecycle emails share the plan card and who they're for
+const subscriptionEmail = {
+  email: { type: 'email', required: true },
+  userId: { type: 'id' },
+  subscriptionId: { type: 'id' },
+  firstName: name,
+  planName: name,
+  planPrice: { type: 'money' },
+  currency,
+  billingInterval,
+  vehicleName: name,
+  sendAt,
+  locale
+};
+
+const sendRenewalReminder = {
+  ...subscriptionEmail,
+  renewsAt: { type: 'date', required: true },
+  manageUrl: { type: 'url' }
+};
+
+const sendPaymentFailed = {
+  ...subscriptionEmail,
+  amount: { type: 'money' },
+  invoiceId: { type: 'id' },
+  updatePaymentUrl: { type: 'url' },
+  nextAttemptAt: { type: 'date' }
+};
+
+const sendSubscriptionCancelled = {
+  ...subscriptionEmail,
+  endsAt: { type: 'date' },
+  resubscribeUrl: { type: 'url' }
+};
+
+const sendSubscriptionExpiring = {
+  ...subscriptionEmail,
+  expiresAt: { type: 'date', required: true },
+  renewUrl: { type: 'url' }
+};
+
+const addSuppression = {
+  email: { type: 'email', required: true },
+  detail: { type: 'string', maxLength: 500 }
+};
+
+module.exports = {
+  sendVerification,
+  verifyToken,
+  verifyCode,
+  sendPasswordReset,
+  sendMagicLink,
+  consumeMagicLink,
+  sendTransferNotification,
+  sendWelcomePurchase,
+  sendDeviceAdded,
+  sendInvoice,
+  sendRenewalReminder,
+  sendPaymentFailed,
+  sendSubscriptionCancelled,
+  sendSubscriptionExpiring,
+  addSuppression
+};
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { withFileLock } = require('./file-lock');
+
+// File names are limited to 255 bytes, and the lock, temporary and stale
+// files add up to ~55 more to an entry's name
+const MAX_ENCODED_KEY_LENGTH = 180;
+
+/**
+ * Key/value store keeping one JSON file per entry in a directory.
+ *
+ * Reading or changing an entry only touches its own file, so it stays cheap
+ * however many entries there are. Use it for collections that grow large
+ * (the delivery log, queued attachments) where FileStore would rewrite the
+ * whole document on every change. Updates take a lock on the entry's file
+ * (see file-lock.js) and replace it with an atomic rename.
+ *
+ * Files are named after the URI-encoded key. Keys too long for a file name
+ * go to "#<sha256 of the key>.json" instead ('#' never starts an encoded
+ * key), which holds { key, value } so the key can still be listed.
+ *
+ * `entries()` still reads every file; look large collections up by key or
+ * through an index store instead.
+ */
+class DirectoryStore {
+  constructor(dirPath, { lockTimeoutMs = 5000 } = {}) {
+    this.dirPath = dirPath;
+    this.lockTimeoutMs = lockTimeoutMs;
+    this.writes = new Map();
+
+    fs.mkdirSync(dirPath, { recursive: true });
+  }
+
+  async get(key) {
+    return this.readEntry(key);
+  }
+
+  async set(key, value) {
+    await this.withLock(key, () => this.writeEntry(key, value));
+    return value;
+  }
+
+  /**
+   * Reads, changes and writes a single entry while holding its lock.
+   * The updater receives the current value (or null) and returns the new one:
+   * `undefined` leaves the entry untouched, `null` deletes it.
+   */
+  async update(key, updater) {
+    return this.withLock(key, async () => {
+      const current = await this.readEntry(key);
+      const next = updater(current);
+
+      if (next === undefined) return current;
+
+      if (next === null) {
+        await fs.promises.rm(this.pathOf(key), { force: true });
+      } else {
+        await this.writeEntry(key, next);
+      }
+      return next;
+    });
+  }
+
+  async has(key) {
+    return (await this.readEntry(key)) !== null;
+  }
+
+  async delete(key) {
+    const filePath = this.pathOf(key);
+
+    return this.withLock(key, async () => {
+      try {
+        await fs.promises.rm(filePath);
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    });
+  }
+
+  async size() {
+    return (await this.files()).length;
+  }
+
+  async entries() {
+    const entries = [];
+
+    for (const file of await this.files()) {
+      // May have been deleted since the directory was listed
+      const contents = await this.read(path.join(this.dirPath, file));
+      if (contents === null) continue;
+
+      entries.push(DirectoryStore.isHashed(file)
+        ? [contents.key, contents.value]
+        : [decodeURIComponent(file.slice(0, -'.json'.length)), contents]);
+    }
+    return entries;
+  }
+
+  async files() {
+    // Skips lock and temporary files
+    return (await fs.promises.readdir(this.dirPath)).filter((file) => file.endsWith('.json'));
+  }
+
+  pathOf(key) {
+    return path.join(this.dirPath, DirectoryStore.fileNameOf(key));
+  }
+
+  async readEntry(key) {
+    const fileName = DirectoryStore.fileNameOf(key);
+    const contents = await this.read(path.join(this.dirPath, fileName));
+    if (contents === null || !DirectoryStore.isHashed(fileName)) return contents;
+    return contents.key === key ? contents.value : null;
+  }
+
+  async writeEntry(key, value) {
+    const [fileName, contents] = DirectoryStore.fileOf(key, value);
+    const filePath = path.join(this.dirPath, fileName);
+    const tmpPath = `${filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+
+    await fs.promises.writeFile(tmpPath, contents);
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  async read(filePath) {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  withLock(key, fn) {
+    const lockPath = `${this.pathOf(key)}.lock`;
+    const previous = this.writes.get(key) || Promise.resolve();
+    const run = previous.then(() => withFileLock(lockPath, fn, { staleMs: this.lockTimeoutMs }));
+    const settled = run.catch(() => {});
+
+    this.writes.set(key, settled);
+    // Forget the key once nothing else is queued behind this write
+    settled.then(() => {
+      if (this.writes.get(key) === settled) this.writes.delete(key);
+    });
+    return run;
+  }
+
+  static fileNameOf(key) {
+    const encoded = encodeURIComponent(key);
+    if (encoded.length <= MAX_ENCODED_KEY_LENGTH) return `${encoded}.json`;
+    return `#${crypto.createHash('sha256').update(key).digest('hex')}.json`;
+  }
+
+  static isHashed(fileName) {
+    return fileName.startsWith('#');
+  }
+
+  /**
+   * File name and contents for an entry.
+   */
+  static fileOf(key, value) {
+    const fileName = DirectoryStore.fileNameOf(key);
+    const contents = DirectoryStore.isHashed(fileName) ? { key, value } : value;
+    return [fileName, JSON.stringify(contents)];
+  }
+}
+
+module.exports = DirectoryStore;
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { setTimeout: sleep } = require('timers/promises');
+
+const LOCK_RETRY_MS = 10;
+
+/**
+ * Runs `fn` while holding a lock file, so writers in several processes (or
+ * instances sharing a volume) take turns.
+ *
+ * The lock file carries a random owner token. A lock untouched for
+ * `staleMs` is taken to belong to a writer that died and is broken. The
+ * holder removes the lock only while it still carries its own token, so a
+ * holder whose lock was broken can't release the next writer's lock.
+ *
+ * @param {string} lockPath
+ * @param {Function} fn - May be async
+ * @param {{ staleMs?: number }} [options]
+ */
+async function withFileLock(lockPath, fn, { staleMs = 5000 } = {}) {
+  const owner = `${process.pid}:${crypto.randomUUID()}`;
+
+  for (;;) {
+    try {
+      await fs.promises.writeFile(lockPath, owner, { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      await breakIfStale(lockPath, staleMs);
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    if (await readOwner(lockPath) === owner) await fs.promises.rm(lockPath, { force: true });
+  }
+}
+
+/**
+ * Removes a lock left behind by a writer that died. The lock is moved aside
+ * before it is deleted; if another waiter replaced it in the meantime, the
+ * fresh lock is put back.
+ */
+async function breakIfStale(lockPath, staleMs) {
+  let stats;
+  try {
+    stats = await fs.promises.stat(lockPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+  if (Date.now() - stats.mtimeMs <= staleMs) return;
+
+  const staleOwner = await readOwner(lockPath);
+  const asidePath = `${lockPath}.${crypto.randomUUID()}.stale`;
+  try {
+    await fs.promises.rename(lockPath, asidePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+
+  if (await readOwner(asidePath) !== staleOwner) {
+    await fs.promises.link(asidePath, lockPath).catch(() => {});
+  } else {
+    console.warn(`⚠️  Broke stale lock ${lockPath} (held by ${staleOwner || 'unknown'})`);
+  }
+  await fs.promises.rm(asidePath, { force: true });
+}
+
+async function readOwner(lockPath) {
+  try {
+    return await fs.promises.readFile(lockPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+module.exports = { withFileLock };
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { withFileLock } = require('./file-lock');
+
+/**
+ * Key/value store persisted as a single JSON file.
+ *
+ * Every call reads the file again, and writes go through a lock file (see
+ * file-lock.js) plus an atomic rename, so several instances can share the
+ * same file (e.g. on a mounted volume) without overwriting each other's
+ * changes. Writes from this process queue up behind each other first, so
+ * they don't poll the lock file against themselves.
+ */
+class FileStore {
+  constructor(filePath, { lockTimeoutMs = 5000 } = {}) {
+    this.filePath = filePath;
+    this.lockPath = `${filePath}.lock`;
+    this.lockTimeoutMs = lockTimeoutMs;
+    this.writes = Promise.resolve();
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  async get(key) {
+    const data = await this.read();
+    return Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null;
+  }
+
+  async set(key, value) {
+    await this.withLock(async () => {
+      const data = await this.read();
+      data[key] = value;
+      await this.write(data);
+    });
+    return value;
+  }
+
+  /**
+   * Reads, changes and writes a single entry while holding the lock.
+   * The updater receives the current value (or null) and returns the new one:
+   * `undefined` leaves the entry untouched, `null` deletes it.
+   */
+  async update(key, updater) {
+    return this.withLock(async () => {
+      const data = await this.read();
+      const current = Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null;
+      const next = updater(current);
+
+      if (next === undefined) return current;
+
+      if (next === null) {
+        delete data[key];
+      } else {
+        data[key] = next;
+      }
+      await this.write(data);
+      return next;
+    });
+  }
+
+  async has(key) {
+    return Object.prototype.hasOwnProperty.call(await this.read(), key);
+  }
+
+  async delete(key) {
+    return this.withLock(async () => {
+      const data = await this.read();
+      if (!Object.prototype.hasOwnProperty.call(data, key)) return false;
+
+      delete data[key];
+      await this.write(data);
+      return true;
+    });
+  }
+
+  async size() {
+    return Object.keys(await this.read()).length;
+  }
+
+  async entries() {
+    return Object.entries(await this.read());
+  }
+
+  async read() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+
+  async write(data) {
+    const tmpPath = `${this.filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(data));
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+
+  withLock(fn) {
+    const run = this.writes.then(() => withFileLock(this.lockPath, fn, { staleMs: this.lockTimeoutMs }));
+    this.writes = run.catch(() => {});
+    return run;
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memory-store');
+const FileStore = require('./file-store');
+const DirectoryStore = require('./directory-store');
+
+/**
+ * Creates a named key/value store.
+ *
+ * All stores share the same interface (get, set, update, has, delete, size,
+ * entries), all async, so a database-backed driver can be added later
+ * without touching the routes.
+ *
+ * With the file driver, `perEntry` keeps each entry in its own file under
+ * a directory named after the store (see directory-store.js) instead of
+ * one JSON document, for collections that grow large.
+ *
+ * @param {string} name - Collection name, used as the file name on disk
+ * @param {{ driver?: 'memory'|'file', dataDir?: string, perEntry?: boolean }} options
+ */
+function createStore(name, { driver = 'file', dataDir = './data', perEntry = false } = {}) {
+  switch (driver) {
+    case 'memory':
+      return new MemoryStore();
+    case 'file':
+      if (perEntry) return openDirectoryStore(path.join(dataDir, name));
+      return new FileStore(path.join(dataDir, `${name}.json`));
+    default:
+      throw new Error(`Unknown store driver: ${driver}`);
+  }
+}
+
+/**
+ * Opens a per-entry store, first splitting up the single JSON document an
+ * earlier version kept for the same collection, if there is one.
+ */
+function openDirectoryStore(dirPath) {
+  const legacyPath = `${dirPath}.json`;
+  if (!fs.existsSync(legacyPath) || fs.existsSync(dirPath)) return new DirectoryStore(dirPath);
+
+  const entries = Object.entries(JSON.parse(fs.readFileSync(legacyPath, 'utf8')));
+  const stagingPath = `${dirPath}.${process.pid}.importing`;
+  fs.mkdirSync(stagingPath, { recursive: true });
+  for (const [key, value] of entries) {
+    const [fileName, contents] = DirectoryStore.fileOf(key, value);
+    fs.writeFileSync(path.join(stagingPath, fileName), contents);
+  }
+  fs.renameSync(stagingPath, dirPath);
+  fs.renameSync(legacyPath, `${legacyPath}.imported`);
+  console.log(`📦 Moved ${entries.length} entries from ${legacyPath} to one file each in ${dirPath}`);
+
+  return new DirectoryStore(dirPath);
+}
+
+module.exports = { createStore, MemoryStore, FileStore, DirectoryStore };
@@ -0,0 +1,56 @@
+/**
+ * In-memory key/value store.
+ * Everything is lost on restart, so only use it for local development.
+ */
+class MemoryStore {
+  constructor() {
+    this.data = new Map();
+  }
+
+  async get(key) {
+    const value = this.data.get(key);
+    return value === undefined ? null : structuredClone(value);
+  }
+
+  async set(key, value) {
+    this.data.set(key, structuredClone(value));
+    return value;
+  }
+
+  /**
+   * Reads, changes and writes a single entry in one step.
+   * The updater receives the current value (or null) and returns the new one:
+   * `undefined` leaves the entry untouched, `null` deletes it.
+   */
+  async update(key, updater) {
+    const current = this.data.has(key) ? structuredClone(this.data.get(key)) : null;
+    const next = updater(current);
+
+    if (next === undefined) return current;
+
+    if (next === null) {
+      this.data.delete(key);
+    } else {
+      this.data.set(key, structuredClone(next));
+    }
+    return next;
+  }
+
+  async has(key) {
+    return this.data.has(key);
+  }
+
+  async delete(key) {
+    return this.data.delete(key);
+  }
+
+  async size() {
+    return this.data.size;
+  }
+
+  async entries() {
+    return [...this.data.entries()].map(([key, value]) => [key, structuredClone(value)]);
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,72 @@
+const { normalizeEmail } = require('./util');
+
+// Reasons that also stop transactional email (verification, invoices, ...).
+// An address that hard-bounced cannot receive anything, while someone who
+// unsubscribed or complained still needs their receipts and sign-in links.
+const BLOCKS_TRANSACTIONAL = ['bounce'];
+
+/**
+ * Addresses we must not email.
+ *
+ * Entries are keyed by the lower-cased address:
+ *   { email, reason: 'bounce'|'complaint'|'unsubscribe'|'manual', source, detail, createdAt }
+ *
+ * Every send is checked against the list with the email's category:
+ * 'transactional' messages only stop for hard bounces, anything else stops
+ * for every reason.
+ *
+ * @param {object} options
+ * @param {object} options.store - Store holding the entries
+ */
+function createSuppressionList({ store }) {
+  /**
+   * Suppresses an address. An existing entry is kept, so the first reason
+   * is the one reported, except that a hard bounce replaces softer reasons.
+   */
+  async function add(email, { reason, source = null, detail = null }) {
+    const key = normalizeEmail(email);
+
+    return store.update(key, (existing) => {
+      if (existing && (existing.reason === 'bounce' || reason !== 'bounce')) return undefined;
+      return {
+        email: key,
+        reason,
+        source,
+        detail,
+        createdAt: new Date().toISOString()
+      };
+    });
+  }
+
+  async function get(email) {
+    return store.get(normalizeEmail(email));
+  }
+
+  /**
+   * Returns the entry that stops an email of `category` to `email`, or null.
+   */
+  async function check(email, category) {
+    const entry = await get(email);
+    if (!entry) return null;
+    if (category === 'transactional' && !BLOCKS_TRANSACTIONAL.includes(entry.reason)) return null;
+    return entry;
+  }
+
+  /**
+   * Lists entries, newest first, optionally for one reason.
+   */
+  async function list({ reason } = {}) {
+    return (await store.entries())
+      .map(([, entry]) => entry)
+      .filter((entry) => !reason || entry.reason === reason)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  async function remove(email) {
+    return store.delete(normalizeEmail(email));
+  }
+
+  return { add, get, check, list, remove };
+}
+
+module.exports = { createSuppressionList };
@@ -0,0 +1,74 @@
+/**
+ * Builds the template gallery page: every email in every locale, rendered
+ * with its sample data, side by side.
+ *
+ * Each preview is inlined with `srcdoc`, so the page needs one request
+ * and works behind the same authentication as the preview API.
+ *
+ * @param {object} options
+ * @param {object} options.templates - Instance from createTemplateRenderer
+ * @param {string[]} options.locales
+ * @param {string} [options.only] - Show a single template
+ * @returns {string} HTML document
+ */
+function renderGallery({ templates, locales, only }) {
+  const names = templates.list().filter((name) => !only || name === only);
+
+  const sections = names.map((name) => {
+    const columns = locales.map((locale) => {
+      const rendered = templates.render(name, templates.fixture(name), { locale });
+      const previewUrl = `/api/preview/${encodeURIComponent(name)}?locale=${encodeURIComponent(locale)}`;
+
+      return `
+        <div class="column">
+          <h3><a href="${previewUrl}">${escapeHtml(locale)}</a> · ${escapeHtml(rendered.subject)}</h3>
+          <iframe sandbox srcdoc="${escapeHtml(rendered.html)}" title="${escapeHtml(`${name} (${locale})`)}"></iframe>
+          <pre>${escapeHtml(rendered.text)}</pre>
+        </div>`;
+    }).join('');
+
+    return `
+      <section id="${escapeHtml(name)}">
+        <h2><a href="?template=${encodeURIComponent(name)}">${escapeHtml(name)}</a></h2>
+        <div class="row">${columns}</div>
+      </section>`;
+  }).join('');
+
+  const nav = templates.list()
+    .map((name) => `<a href="#${escapeHtml(name)}">${escapeHtml(name)}</a>`)
+    .join(' · ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Email templates</title>
+  <style>
+    body { margin: 0; padding: 20px 30px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f1f3f6; color: #1f2937; }
+    nav { margin-bottom: 20px; }
+    section { margin-bottom: 40px; }
+    .row { display: flex; gap: 20px; overflow-x: auto; }
+    .column { flex: 0 0 640px; }
+    h3 { font-size: 14px; font-weight: 500; }
+    iframe { width: 640px; height: 900px; border: 1px solid #d1d5db; background: #fff; }
+    pre { white-space: pre-wrap; background: #fff; border: 1px solid #d1d5db; padding: 15px; font-size: 13px; }
+  </style>
+</head>
+<body>
+  <h1>Email templates</h1>
+  <nav>${nav}</nav>
+  ${sections}
+</body>
+</html>`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = { renderGallery };
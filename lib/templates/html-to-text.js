@@ -0,0 +1,104 @@
+/**
+ * Turns a rendered email into its plain-text alternative.
+ *
+ * Made for the markup our templates produce (tables, paragraphs, lists,
+ * buttons), not for arbitrary HTML:
+ *   - block elements and table rows start new lines, paragraphs are
+ *     separated by a blank line
+ *   - list items become "- item", or "1. item" in ordered lists
+ *   - links keep their label followed by the URL: "View invoice (https://...)";
+ *     the URL alone when it is the label, the label alone for mailto: and "#"
+ *   - images are replaced by their alt text; head, style and script are dropped
+ */
+
+const BLOCK_TAGS = new Set(['p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'table', 'tr', 'ul', 'ol', 'blockquote', 'pre', 'hr']);
+const DROPPED_TAGS = /<(head|style|script|title)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+const TOKEN = /<!--[\s\S]*?-->|<![^>]*>|<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b([^>]*)>|([^<]+)/g;
+
+function htmlToText(html) {
+  const source = String(html).replace(DROPPED_TAGS, '');
+  const lists = [];
+  let link = null;
+  let out = '';
+
+  const write = (text) => {
+    if (link) {
+      link.label += text;
+    } else {
+      out += text;
+    }
+  };
+
+  for (const [, closing, rawTag, attributes, text] of source.matchAll(TOKEN)) {
+    if (text !== undefined) {
+      write(decodeEntities(text.replace(/\s+/g, ' ')));
+      continue;
+    }
+    if (!rawTag) continue; // comment or doctype
+
+    const tag = rawTag.toLowerCase();
+
+    if (tag === 'br') {
+      write('\n');
+    } else if (tag === 'a') {
+      if (!closing) {
+        link = { href: decodeEntities(attribute(attributes, 'href') || ''), label: '' };
+      } else if (link) {
+        const { href, label } = link;
+        link = null;
+        out += formatLink(label.trim(), href);
+      }
+    } else if (tag === 'img' && !closing) {
+      write(decodeEntities(attribute(attributes, 'alt') || ''));
+    } else if (tag === 'li' && !closing) {
+      const list = lists[lists.length - 1];
+      const indent = '  '.repeat(Math.max(lists.length - 1, 0));
+      if (list) list.count += 1;
+      out += `\n${indent}${list && list.ordered ? `${list.count}. ` : '- '}`;
+    } else if (tag === 'ul' || tag === 'ol') {
+      if (closing) {
+        lists.pop();
+      } else {
+        lists.push({ ordered: tag === 'ol', count: 0 });
+      }
+      out += '\n\n';
+    } else if (tag === 'td' || tag === 'th') {
+      out += closing ? '\n' : '';
+    } else if (BLOCK_TAGS.has(tag)) {
+      out += '\n\n';
+    }
+  }
+
+  return out
+    .split('\n')
+    .map((line) => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function formatLink(label, href) {
+  if (!href || href === '#' || /^mailto:/i.test(href)) return label;
+  if (!label || label === href) return href;
+  return `${label} (${href})`;
+}
+
+function attribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  if (!match) return null;
+  return match[2] ?? match[3] ?? match[4];
+}
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', rarr: '→' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return point >= 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+module.exports = { htmlToText };
@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+const { htmlToText } = require('./html-to-text');
+
+/**
+ * Loads the email templates from disk.
+ *
+ * Layout:
+ *   themes.json                 colour palettes, exposed to templates as @theme
+ *   layouts/<name>.hbs          document shell, wraps the email via {{#layout}}
+ *   partials/<name>.hbs         reusable blocks ({{> button}}, {{> footer}}, ...)
+ *   emails/<name>/subject.hbs   subject line
+ *   emails/<name>/html.hbs      HTML body
+ *   emails/<name>/text.hbs      plain-text body (optional, derived from the HTML otherwise)
+ *   emails/<name>/fixture.json  sample data for previews (optional)
+ *
+ * Copy comes from the message catalogs through the {{t "key"}} helper, and
+ * {{money}}, {{date}}, {{hours}} and {{minutes}} format values for the render locale.
+ *
+ * Escaping depends on where a value lands:
+ *   - HTML text and quoted attributes: {{value}}, escaped by Handlebars
+ *   - catalog text: {{t}} escapes its parameters, never the trusted markup
+ *   - links: href="{{safeUrl value}}", which only lets http(s) URLs through
+ *   - subject lines: newlines and other control characters are removed
+ * Triple-stash ({{{value}}}) is only for the layout body.
+ *
+ * @param {string} templatesDir
+ * @param {object} i18n - Instance from lib/i18n
+ * @returns {{ render: Function, has: Function, list: Function, fixture: Function }}
+ */
+function createTemplateRenderer(templatesDir, i18n) {
+  const hbs = Handlebars.create();
+  const themes = JSON.parse(fs.readFileSync(path.join(templatesDir, 'themes.json'), 'utf8'));
+
+  const layouts = {};
+  for (const file of listFiles(path.join(templatesDir, 'layouts'), '.hbs')) {
+    layouts[path.basename(file, '.hbs')] = hbs.compile(fs.readFileSync(file, 'utf8'));
+  }
+
+  for (const file of listFiles(path.join(templatesDir, 'partials'), '.hbs')) {
+    hbs.registerPartial(path.basename(file, '.hbs'), fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * {{#layout theme="green" name="base"}}...{{/layout}}
+   * Renders the block inside a layout and exposes the theme palette as @theme.
+   */
+  hbs.registerHelper('layout', function (options) {
+    const { theme = 'purple', name = 'base' } = options.hash;
+
+    if (!themes[theme]) throw new Error(`Unknown email theme: ${theme}`);
+    if (!layouts[name]) throw new Error(`Unknown email layout: ${name}`);
+
+    const data = hbs.createFrame(options.data);
+    data.theme = themes[theme];
+
+    const body = options.fn(this, { data });
+    return new hbs.SafeString(layouts[name]({ body }, { data }));
+  });
+
+  /**
+   * {{t "welcomePurchase.subtitle" name=firstName}}
+   * In HTML the parameters are escaped and the catalog markup is kept; in
+   * subjects and text bodies the markup is turned into plain text.
+   */
+  hbs.registerHelper('t', function (key, options) {
+    const { locale, format } = options.data;
+
+    if (format === 'html') {
+      return new hbs.SafeString(i18n.translate(locale, key, options.hash, {
+        escape: hbs.escapeExpression,
+        transform: (text) => text.replace(/&(?!#?\w+;)/g, '&amp;')
+      }));
+    }
+    return i18n.translate(locale, key, options.hash, { transform: toPlainText });
+  });
+
+  // {{money planPrice currency billingInterval}} - currency and interval are optional
+  hbs.registerHelper('money', (...args) => {
+    const options = args.pop();
+    const [value, currency, interval] = args;
+    return i18n.formatMoney(options.data.locale, value, stringOrNull(currency), stringOrNull(interval));
+  });
+
+  // {{date expiresAt}}
+  hbs.registerHelper('date', (value, options) => i18n.formatDate(options.data.locale, value));
+
+  // {{hours expiresInHours}}
+  hbs.registerHelper('hours', (value, options) => i18n.formatHours(options.data.locale, value));
+
+  // {{minutes codeExpiresInMinutes}}
+  hbs.registerHelper('minutes', (value, options) => i18n.formatMinutes(options.data.locale, value));
+
+  // href="{{safeUrl invoiceUrl}}" - anything but an http(s) URL becomes "#"
+  hbs.registerHelper('safeUrl', (value) => toSafeUrl(value) || '#');
+
+  // {{default vehicleName (t "common.yourVehicle")}}
+  hbs.registerHelper('default', (value, fallback) => (value === undefined || value === null || value === '' ? fallback : value));
+
+  const emails = {};
+  const emailsDir = path.join(templatesDir, 'emails');
+  for (const name of fs.readdirSync(emailsDir)) {
+    const dir = path.join(emailsDir, name);
+    const compileFile = (file, options) => {
+      const filePath = path.join(dir, file);
+      return fs.existsSync(filePath) ? hbs.compile(fs.readFileSync(filePath, 'utf8'), options) : null;
+    };
+
+    const fixturePath = path.join(dir, 'fixture.json');
+
+    emails[name] = {
+      subject: compileFile('subject.hbs', { noEscape: true }),
+      html: compileFile('html.hbs'),
+      text: compileFile('text.hbs', { noEscape: true }),
+      fixture: fs.existsSync(fixturePath) ? JSON.parse(fs.readFileSync(fixturePath, 'utf8')) : {}
+    };
+
+    if (!emails[name].subject || !emails[name].html) {
+      throw new Error(`Email template "${name}" needs at least subject.hbs and html.hbs`);
+    }
+  }
+
+  /**
+   * Renders an email by name in the given locale.
+   * Returns { subject, html, text }; `text` comes from text.hbs when the
+   * template has one and is derived from the HTML when it doesn't.
+   */
+  function render(name, data = {}, { locale = i18n.defaultLocale } = {}) {
+    const template = emails[name];
+    if (!template) throw new Error(`Unknown email template: ${name}`);
+
+    const options = (format) => ({ data: { year: new Date().getFullYear(), locale, format } });
+    const rendered = {
+      subject: toSingleLine(template.subject(data, options('text'))),
+      html: template.html(data, options('html'))
+    };
+
+    rendered.text = template.text
+      ? template.text(data, options('text')).trim()
+      : htmlToText(rendered.html);
+    return rendered;
+  }
+
+  return {
+    render,
+    has: (name) => Boolean(emails[name]),
+    list: () => Object.keys(emails),
+    fixture: (name) => structuredClone(emails[name].fixture)
+  };
+}
+
+function stringOrNull(value) {
+  return typeof value === 'string' ? value : null;
+}
+
+function toSafeUrl(value) {
+  if (typeof value !== 'string') return null;
+
+  try {
+    const url = new URL(value.trim());
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Header values must not span lines, or a crafted name could add headers
+function toSingleLine(value) {
+  return value.replace(/[\u0000-\u001f\u007f]+/g, ' ').replace(/ {2,}/g, ' ').trim();
+}
+
+function toPlainText(message) {
+  return message
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function listFiles(dir, extension) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((file) => file.endsWith(extension))
+    .map((file) => path.join(dir, file));
+}
+
+module.exports = { createTemplateRenderer };
@@ -0,0 +1,23 @@
+const crypto = require('crypto');
+const { safeEqual } = require('../util');
+
+/**
+ * Tokens can be bound to the device or session that asked for them, so a
+ * link only works there. Only a digest of the binding is kept: a stored
+ * record or a signed token's (readable) payload doesn't reveal the id.
+ */
+function hashBinding(binding) {
+  return binding ? crypto.createHash('sha256').update(String(binding)).digest('base64url') : null;
+}
+
+/**
+ * Whether `binding` is the one a token was issued for. Tokens issued
+ * without a binding work anywhere.
+ */
+function bindingMatches(bindingHash, binding) {
+  if (!bindingHash) return true;
+
+  return safeEqual(hashBinding(binding) || '', bindingHash);
+}
+
+module.exports = { hashBinding, bindingMatches };
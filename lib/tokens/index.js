@@ -0,0 +1,28 @@
+const { createStoredTokens } = require('./stored-tokens');
+const { createSignedTokens, parseSigningKeys } = require('./signed-tokens');
+const { createVerificationCodes } = require('./verification-codes');
+const { parseTokenTtls } = require('./ttls');
+
+/**
+ * Single-use tokens for links sent by email.
+ *
+ * Both kinds share one interface, all async:
+ *   issue({ email, userId, purpose, expiresAt, binding? }) → token
+ *   verify(token, { purpose, binding? }) → { tokenData } | { status, error }
+ *   check(token, { purpose }) → { tokenData } | { status, error }
+ *   revoke(token) → boolean
+ *   revokePending({ email, userId, purpose }) → number revoked
+ *   purge() → number removed
+ *
+ * Stored tokens are random ids looked up in a store; signed tokens carry
+ * their data and only need a store for used/revoked ids.
+ *
+ * A token only verifies for the purpose it was issued for, and a token
+ * issued with a `binding` (a device or session id) only with that binding.
+ *
+ * Verification codes (verification-codes.js) are the typed alternative to
+ * a link and always live in a store.
+ *
+ * How long each purpose's tokens last is configured with parseTokenTtls.
+ */
+module.exports = { createStoredTokens, createSignedTokens, parseSigningKeys, createVerificationCodes, parseTokenTtls };
@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { normalizeEmail, safeEqual } = require('../util');
+const { hashBinding, bindingMatches } = require('./binding');
+
+/**
+ * Self-contained tokens: HS256 JWTs carrying the email, userId, purpose and
+ * expiry, so any instance holding the keys can validate a link without a
+ * shared token store.
+ *
+ *   header:  { alg: 'HS256', typ: 'JWT', kid }
+ *   payload: { jti, email, sub (userId), purpose, iat, exp, bnd? }
+ *
+ * `bnd`, when present, is the digest of the device or session the token is
+ * bound to (see binding.js).
+ *
+ * The header's `kid` picks the verification key. Tokens are signed with the
+ * active key; keep the previous key listed until the links it signed have
+ * expired, then drop it.
+ *
+ * Single use is enforced with a small used/revoked list keyed by `jti`,
+ * whose entries only live until the token would have expired anyway.
+ *
+ * The same store keeps the ids of the tokens issued per address (and per
+ * userId) and purpose ("pending:<purpose>:email:<address>"), so unused
+ * earlier links can be revoked when a new one is sent and at most
+ * `maxPending` stay valid.
+ *
+ * @param {object} options
+ * @param {Array<{ kid: string, secret: string }>} options.keys
+ * @param {string} [options.activeKid] - Key used to sign, defaults to the first one
+ * @param {object} options.usedStore - Store for used and revoked token ids
+ * @param {number} [options.maxPending] - Unused tokens allowed per owner and purpose, unlimited if not set
+ */
+function createSignedTokens({ keys, activeKid, usedStore, maxPending = null }) {
+  if (!keys.length) throw new Error('Signed tokens need at least one signing key');
+
+  const keysById = new Map(keys.map(({ kid, secret }) => [kid, secret]));
+  const signingKid = activeKid || keys[0].kid;
+  if (!keysById.has(signingKid)) throw new Error(`Unknown signing key id: ${signingKid}`);
+
+  function sign(input, kid) {
+    return crypto.createHmac('sha256', keysById.get(kid)).update(input).digest('base64url');
+  }
+
+  /**
+   * Tells signed tokens apart from stored (UUID) ones.
+   */
+  function isSignedToken(token) {
+    return typeof token === 'string' && token.split('.').length === 3;
+  }
+
+  async function issue({ email, userId = null, purpose, expiresAt, binding = null }) {
+    const header = { alg: 'HS256', typ: 'JWT', kid: signingKid };
+    const payload = {
+      jti: uuidv4(),
+      email,
+      sub: userId || null,
+      purpose,
+      iat: Math.floor(Date.now() / 1000),
+      exp: Math.floor(expiresAt / 1000),
+      ...(binding && { bnd: hashBinding(binding) })
+    };
+
+    const input = `${encode(header)}.${encode(payload)}`;
+
+    for (const key of pendingKeys({ email, userId, purpose })) {
+      let dropped = [];
+
+      await usedStore.update(key, (entry) => {
+        const live = (entry ? entry.tokens : []).filter((pending) => pending.exp > payload.iat);
+        live.push({ jti: payload.jti, exp: payload.exp });
+
+        dropped = maxPending ? live.splice(0, Math.max(live.length - maxPending, 0)) : [];
+        return { tokens: live, expiresAt: Math.max(...live.map((pending) => pending.exp)) * 1000 };
+      });
+
+      for (const pending of dropped) await markRevoked(pending);
+    }
+
+    return `${input}.${sign(input, signingKid)}`;
+  }
+
+  /**
+   * Checks the signature and returns the payload, or null if the token was
+   * not issued with one of our keys. Expiry is left to the caller.
+   */
+  function decode(token) {
+    if (!isSignedToken(token)) return null;
+
+    const [encodedHeader, encodedPayload, signature] = token.split('.');
+
+    try {
+      const header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+      if (header.alg !== 'HS256' || !keysById.has(header.kid)) return null;
+
+      if (!safeEqual(sign(`${encodedHeader}.${encodedPayload}`, header.kid), signature)) return null;
+
+      return JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function toTokenData(payload, verified) {
+    return {
+      email: payload.email,
+      userId: payload.sub,
+      purpose: payload.purpose,
+      expiresAt: payload.exp * 1000,
+      verified
+    };
+  }
+
+  /**
+   * Uses a token once. Returns { tokenData } or { status, error }, like the
+   * stored tokens, including for a bound token used without its binding.
+   */
+  async function verify(token, { purpose, binding = null }) {
+    const payload = decode(token);
+    if (!payload || payload.purpose !== purpose) {
+      return { status: 404, error: 'Invalid or not found token' };
+    }
+
+    if (Date.now() > payload.exp * 1000) {
+      return { status: 410, error: 'Token has expired' };
+    }
+
+    if (!bindingMatches(payload.bnd, binding)) {
+      return { status: 403, error: 'Token was issued for another device' };
+    }
+
+    let result;
+    await usedStore.update(payload.jti, (entry) => {
+      if (entry) {
+        result = entry.reason === 'revoked'
+          ? { status: 410, error: 'Token has been revoked' }
+          : { status: 400, error: 'Email has already been verified' };
+        return undefined;
+      }
+
+      result = { tokenData: toTokenData(payload, true) };
+      return { reason: 'used', expiresAt: payload.exp * 1000 };
+    });
+
+    return result;
+  }
+
+  async function check(token, { purpose }) {
+    const payload = decode(token);
+    if (!payload || payload.purpose !== purpose) return { status: 404, error: 'Token not found' };
+
+    const entry = await usedStore.get(payload.jti);
+    if (entry && entry.reason === 'revoked') return { status: 410, error: 'Token has been revoked' };
+
+    return { tokenData: toTokenData(payload, Boolean(entry)) };
+  }
+
+  /**
+   * Puts a token on the revocation list, and stops counting it against
+   * `maxPending`. Returns false for tokens we didn't sign.
+   */
+  async function revoke(token) {
+    const payload = decode(token);
+    if (!payload) return false;
+
+    await usedStore.update(payload.jti, (entry) => (entry && entry.reason === 'revoked'
+      ? undefined
+      : { reason: 'revoked', expiresAt: payload.exp * 1000 }));
+
+    for (const key of pendingKeys({ email: payload.email, userId: payload.sub, purpose: payload.purpose })) {
+      await usedStore.update(key, (entry) => {
+        if (!entry) return undefined;
+        const tokens = entry.tokens.filter((pending) => pending.jti !== payload.jti);
+        return tokens.length ? { ...entry, tokens } : null;
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Revokes every token sent to the address (or userId) for a purpose that
+   * hasn't been used yet. Returns how many were revoked.
+   */
+  async function revokePending({ email, userId = null, purpose }) {
+    let revoked = 0;
+
+    for (const key of pendingKeys({ email, userId, purpose })) {
+      const entry = await usedStore.get(key);
+      if (!entry) continue;
+
+      for (const pending of entry.tokens) {
+        if (await markRevoked(pending)) revoked += 1;
+      }
+      await usedStore.delete(key);
+    }
+
+    return revoked;
+  }
+
+  /**
+   * Puts a token id on the revocation list unless it was already used or
+   * revoked. Returns true if it was added.
+   */
+  async function markRevoked({ jti, exp }) {
+    let added = false;
+
+    await usedStore.update(jti, (entry) => {
+      if (entry) return undefined;
+      added = true;
+      return { reason: 'revoked', expiresAt: exp * 1000 };
+    });
+
+    return added;
+  }
+
+  /**
+   * Forgets used and revoked ids, and pending lists, whose tokens have
+   * expired anyway. Returns how many entries were removed.
+   */
+  async function purge() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [key, entry] of await usedStore.entries()) {
+      if (entry.expiresAt <= now && await usedStore.delete(key)) removed += 1;
+    }
+
+    return removed;
+  }
+
+  return { isSignedToken, issue, verify, check, revoke, revokePending, purge };
+}
+
+function pendingKeys({ email, userId, purpose }) {
+  const keys = [`pending:${purpose}:email:${normalizeEmail(email)}`];
+  if (userId) keys.push(`pending:${purpose}:user:${userId}`);
+  return keys;
+}
+
+/**
+ * Parses "kid:secret,kid2:secret2" into [{ kid, secret }].
+ */
+function parseSigningKeys(value) {
+  if (!value) return [];
+
+  return value.split(',').map((entry) => {
+    const separator = entry.indexOf(':');
+    const kid = entry.slice(0, separator).trim();
+    const secret = entry.slice(separator + 1).trim();
+
+    if (separator <= 0 || !secret) {
+      throw new Error('Invalid TOKEN_SIGNING_KEYS, expected "<kid>:<secret>,..."');
+    }
+    return { kid, secret };
+  });
+}
+
+function encode(object) {
+  return Buffer.from(JSON.stringify(object)).toString('base64url');
+}
+
+module.exports = { createSignedTokens, parseSigningKeys };
@@ -0,0 +1,150 @@
+const { v4: uuidv4 } = require('uuid');
+const { normalizeEmail } = require('../util');
+const { hashBinding, bindingMatches } = require('./binding');
+
+/**
+ * Random tokens kept in a store until they are used or expire.
+ *
+ * Records: { email, userId, purpose, expiresAt, bindingHash, verified, createdAt, verifiedAt }
+ * Records written before purposes existed count as 'email-verification'.
+ * `bindingHash` ties the token to a device or session (see binding.js).
+ *
+ * At most `maxPending` unused tokens are kept per address (and per userId)
+ * and purpose; issuing one more drops the oldest. `purge` removes expired
+ * tokens, and used ones once they are `verifiedRetentionMs` old.
+ *
+ * @param {object} options
+ * @param {object} options.store - Store holding the tokens
+ * @param {number} [options.maxPending] - Unused tokens allowed per owner and purpose, unlimited if not set
+ * @param {number} [options.verifiedRetentionMs] - How long a used token is remembered
+ */
+function createStoredTokens({ store, maxPending = null, verifiedRetentionMs = 24 * 60 * 60 * 1000 }) {
+  /**
+   * Creates a token and returns it.
+   */
+  async function issue({ email, userId = null, purpose, expiresAt, binding = null }) {
+    const token = uuidv4();
+
+    await store.set(token, {
+      email,
+      userId: userId || null,
+      purpose,
+      expiresAt,
+      bindingHash: hashBinding(binding),
+      verified: false,
+      createdAt: Date.now()
+    });
+
+    if (maxPending) {
+      const pending = await findPending({ email, userId, purpose });
+      for (const [oldToken] of pending.slice(0, -maxPending)) await store.delete(oldToken);
+    }
+
+    return token;
+  }
+
+  /**
+   * Marks a token as used. A token bound to a device or session is only
+   * accepted with the same `binding`, and stays unused when it doesn't match.
+   * Runs as a single store update so two instances can't both accept the same link.
+   * Returns { tokenData } on success or { status, error } on failure.
+   */
+  async function verify(token, { purpose, binding = null }) {
+    let result;
+
+    await store.update(token, (tokenData) => {
+      if (!tokenData || purposeOf(tokenData) !== purpose) {
+        result = { status: 404, error: 'Invalid or not found token' };
+        return undefined;
+      }
+
+      if (Date.now() > tokenData.expiresAt) {
+        result = { status: 410, error: 'Token has expired' };
+        return null;
+      }
+
+      if (!bindingMatches(tokenData.bindingHash, binding)) {
+        result = { status: 403, error: 'Token was issued for another device' };
+        return undefined;
+      }
+
+      if (tokenData.verified) {
+        result = { status: 400, error: 'Email has already been verified' };
+        return undefined;
+      }
+
+      // Mark as verified
+      result = { tokenData: { ...tokenData, verified: true, verifiedAt: Date.now() } };
+      return result.tokenData;
+    });
+
+    return result;
+  }
+
+  /**
+   * Looks a token up without using it; tokens for other purposes aren't found.
+   * Returns { tokenData } or { status, error }.
+   */
+  async function check(token, { purpose }) {
+    const tokenData = await store.get(token);
+    return tokenData && purposeOf(tokenData) === purpose ? { tokenData } : { status: 404, error: 'Token not found' };
+  }
+
+  /**
+   * Invalidates a token. Returns false when there was no such token.
+   */
+  async function revoke(token) {
+    return store.delete(token);
+  }
+
+  /**
+   * Invalidates every unused token sent to the address (or userId) for a
+   * purpose, e.g. before sending a fresh link. Returns how many were dropped.
+   */
+  async function revokePending({ email, userId = null, purpose }) {
+    const pending = await findPending({ email, userId, purpose });
+    for (const [token] of pending) await store.delete(token);
+    return pending.length;
+  }
+
+  /**
+   * Removes expired tokens and used tokens past their retention.
+   * Returns how many were removed.
+   */
+  async function purge() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [token, tokenData] of await store.entries()) {
+      const expired = tokenData.expiresAt <= now;
+      const usedLongAgo = tokenData.verified && tokenData.verifiedAt && now - tokenData.verifiedAt > verifiedRetentionMs;
+
+      if ((expired || usedLongAgo) && await store.delete(token)) removed += 1;
+    }
+
+    return removed;
+  }
+
+  /**
+   * Unused, unexpired tokens for an owner and purpose, oldest first.
+   */
+  async function findPending({ email, userId, purpose }) {
+    const now = Date.now();
+    const address = normalizeEmail(email);
+
+    return (await store.entries())
+      .filter(([, tokenData]) => !tokenData.verified
+        && tokenData.expiresAt > now
+        && purposeOf(tokenData) === purpose
+        && (normalizeEmail(tokenData.email) === address || (userId && tokenData.userId === userId)))
+      .sort(([, a], [, b]) => (a.createdAt || 0) - (b.createdAt || 0));
+  }
+
+  return { issue, verify, check, revoke, revokePending, purge, size: () => store.size() };
+}
+
+function purposeOf(tokenData) {
+  return tokenData.purpose || 'email-verification';
+}
+
+module.exports = { createStoredTokens };
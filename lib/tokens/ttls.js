@@ -0,0 +1,24 @@
+/**
+ * Parses "purpose:hours,purpose2:hours" (e.g. "email-verification:48")
+ * on top of `defaults`, returning { [purpose]: hours }. Hours may be
+ * fractional ("0.5" for 30 minutes).
+ */
+function parseTokenTtls(value, defaults = {}) {
+  const ttls = { ...defaults };
+  if (!value) return ttls;
+
+  for (const entry of value.split(',')) {
+    const separator = entry.lastIndexOf(':');
+    const purpose = entry.slice(0, separator).trim();
+    const hours = Number(entry.slice(separator + 1));
+
+    if (separator <= 0 || !Number.isFinite(hours) || hours <= 0) {
+      throw new Error('Invalid TOKEN_TTL_HOURS, expected "<purpose>:<hours>,..."');
+    }
+    ttls[purpose] = hours;
+  }
+
+  return ttls;
+}
+
+module.exports = { parseTokenTtls };
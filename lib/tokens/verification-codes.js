@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const { normalizeEmail, safeEqual } = require('../util');
+
+/**
+ * Short numeric codes typed into the app instead of clicking a link.
+ *
+ * One code is live per address and purpose; issuing a new one replaces it.
+ * Records are keyed "<purpose>:<email>":
+ *   { email, userId, purpose, token, codeHash, salt, expiresAt, attempts, lockedUntil, verified }
+ *
+ * `token` is the link token sent in the same email, if any: using either
+ * one uses both, so a code and a link share a single lifecycle.
+ *
+ * Codes are stored salted and hashed and compared in constant time. After
+ * `maxAttempts` wrong guesses the code is thrown away and the address is
+ * locked out of code verification for `lockoutMs`, even if a new code is
+ * sent in the meantime.
+ *
+ * @param {object} options
+ * @param {object} options.store - Store holding the codes
+ * @param {number} [options.maxAttempts]
+ * @param {number} [options.lockoutMs]
+ * @param {number} [options.digits]
+ */
+function createVerificationCodes({ store, maxAttempts = 5, lockoutMs = 15 * 60 * 1000, digits = 6 }) {
+  function keyFor(email, purpose) {
+    return `${purpose}:${normalizeEmail(email)}`;
+  }
+
+  /**
+   * Creates a code for the address and returns it.
+   */
+  async function issue({ email, userId = null, purpose, expiresAt, token = null }) {
+    const code = crypto.randomInt(0, 10 ** digits).toString().padStart(digits, '0');
+    const salt = crypto.randomBytes(16).toString('hex');
+    const now = Date.now();
+
+    await store.update(keyFor(email, purpose), (existing) => ({
+      email,
+      userId: userId || null,
+      purpose,
+      token,
+      codeHash: hashCode(salt, code),
+      salt,
+      expiresAt,
+      attempts: 0,
+      lockedUntil: existing && existing.lockedUntil > now ? existing.lockedUntil : null,
+      verified: false
+    }));
+
+    return code;
+  }
+
+  /**
+   * Checks a code. Returns { tokenData } on success or { status, error },
+   * plus `retryAfter` (seconds) when locked out or `attemptsRemaining`
+   * after a wrong guess.
+   */
+  async function verify({ email, code, purpose }) {
+    const now = Date.now();
+    let result;
+
+    await store.update(keyFor(email, purpose), (record) => {
+      if (!record) {
+        result = { status: 404, error: 'Invalid or not found code' };
+        return undefined;
+      }
+
+      if (record.lockedUntil > now) {
+        result = {
+          status: 429,
+          error: 'Too many failed attempts, please try again later',
+          retryAfter: Math.ceil((record.lockedUntil - now) / 1000)
+        };
+        return undefined;
+      }
+
+      if (record.verified) {
+        result = { status: 400, error: 'Email has already been verified' };
+        return undefined;
+      }
+
+      if (!record.codeHash) {
+        result = { status: 404, error: 'Invalid or not found code' };
+        return undefined;
+      }
+
+      if (now > record.expiresAt) {
+        result = { status: 410, error: 'Code has expired' };
+        return null;
+      }
+
+      if (!safeEqual(hashCode(record.salt, String(code)), record.codeHash)) {
+        const attempts = record.attempts + 1;
+
+        if (attempts >= maxAttempts) {
+          result = {
+            status: 429,
+            error: 'Too many failed attempts, please try again later',
+            retryAfter: Math.ceil(lockoutMs / 1000)
+          };
+          return { ...record, attempts, codeHash: null, lockedUntil: now + lockoutMs };
+        }
+
+        result = { status: 400, error: 'Incorrect code', attemptsRemaining: maxAttempts - attempts };
+        return { ...record, attempts };
+      }
+
+      const { codeHash, salt, attempts, lockedUntil, ...tokenData } = record;
+      result = { tokenData: { ...tokenData, verified: true } };
+      return { ...record, verified: true };
+    });
+
+    return result;
+  }
+
+  /**
+   * Marks the live code for an address as used, after its link was clicked.
+   */
+  async function consume(email, purpose) {
+    await store.update(keyFor(email, purpose), (record) => (record && !record.verified
+      ? { ...record, verified: true }
+      : undefined));
+  }
+
+  /**
+   * Throws away a code that hasn't been used, e.g. when the email carrying
+   * it is cancelled. Does nothing once a newer code has replaced it, and
+   * keeps any lockout. Returns true if the code was thrown away.
+   */
+  async function revoke({ email, purpose, code }) {
+    let revoked = false;
+
+    await store.update(keyFor(email, purpose), (record) => {
+      if (!record || record.verified || !record.codeHash) return undefined;
+      if (!safeEqual(hashCode(record.salt, String(code)), record.codeHash)) return undefined;
+
+      revoked = true;
+      return { ...record, codeHash: null };
+    });
+
+    return revoked;
+  }
+
+  /**
+   * Throws away the live code for an address, whatever it is, e.g. when a
+   * new email replaces the one carrying it. Keeps any lockout. Returns true
+   * if there was a code to throw away.
+   */
+  async function revokeFor(email, purpose) {
+    let revoked = false;
+
+    await store.update(keyFor(email, purpose), (record) => {
+      if (!record || record.verified || !record.codeHash) return undefined;
+      revoked = true;
+      return { ...record, codeHash: null };
+    });
+
+    return revoked;
+  }
+
+  /**
+   * Removes codes that have expired and are no longer locking anyone out.
+   */
+  async function purge() {
+    const now = Date.now();
+    for (const [key, record] of await store.entries()) {
+      if (record.expiresAt <= now && !(record.lockedUntil > now)) await store.delete(key);
+    }
+  }
+
+  return { issue, verify, consume, revoke, revokeFor, purge };
+}
+
+function hashCode(salt, code) {
+  return crypto.createHash('sha256').update(`${salt}:${code}`).digest('hex');
+}
+
+module.exports = { createVerificationCodes };
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const { safeEqual } = require('./util');
+
+const ACTIONS = ['accept', 'decline'];
+const OUTCOME_STATES = { accept: 'accepted', decline: 'declined' };
+
+/**
+ * Tracker transfers and their lifecycle:
+ *
+ *   pending ──accept──▶ accepted
+ *      │  ├──decline──▶ declined
+ *      │  └──cancel───▶ cancelled
+ *      └──(expiryMs)──▶ expired
+ *
+ * Records are keyed by transferId:
+ *   { transferId, state, email, locale, fromUserName, fromEmail, fromUserId,
+ *     trackerDetails, createdAt, expiresAt, remindersSent, lastNotifiedAt,
+ *     respondedAt, updatedAt }
+ *
+ * The recipient answers through signed links, one per action. A token is
+ * `<base64url transferId>.<action>.<base64url HMAC-SHA256>`; the HMAC
+ * covers the transfer's createdAt, so once a closed transfer is purged its
+ * links don't work for a new transfer that reuses the id.
+ *
+ * `sweep` moves overdue transfers to expired and picks the ones due a
+ * reminder; sending the emails is up to the caller. Reminders go out
+ * `reminderAfterMs` after the last email, up to `maxReminders` times.
+ *
+ * @param {object} options
+ * @param {object} options.store - Store holding the transfers
+ * @param {string} options.secret - HMAC key; changing it invalidates every link sent
+ * @param {number} options.expiryMs - How long the recipient has to answer
+ * @param {number} options.reminderAfterMs - Quiet time before each reminder
+ * @param {number} [options.maxReminders]
+ */
+function createTransfers({ store, secret, expiryMs, reminderAfterMs, maxReminders = 1 }) {
+  function sign(transferId, action, createdAt) {
+    return crypto.createHmac('sha256', secret).update(`transfer:${action}:${transferId}:${createdAt}`).digest('base64url');
+  }
+
+  /**
+   * Accept and decline tokens for a transfer.
+   */
+  function tokensFor(transfer) {
+    const encodedId = Buffer.from(transfer.transferId).toString('base64url');
+    return {
+      accept: `${encodedId}.accept.${sign(transfer.transferId, 'accept', transfer.createdAt)}`,
+      decline: `${encodedId}.decline.${sign(transfer.transferId, 'decline', transfer.createdAt)}`
+    };
+  }
+
+  /**
+   * Opens a transfer, or refreshes the details of one still pending (the
+   * expiry and reminders carry on from the first send). `sendAt` is when
+   * the email goes out, for scheduled sends; the expiry counts from it.
+   * A cancelled transfer starts over, with new links.
+   * Returns { transfer, created }, or { status, error, transfer } when the
+   * transfer has already been answered (409) or has expired (410).
+   */
+  async function open({ transferId, email, locale = null, fromUserName = null, fromEmail = null, fromUserId = null, trackerDetails, sendAt = Date.now() }) {
+    const now = Date.now();
+    let result;
+
+    await store.update(transferId, (current) => {
+      if (current && current.state !== 'pending' && current.state !== 'cancelled') {
+        result = { ...closed(current), transfer: current };
+        return undefined;
+      }
+
+      const existing = current && current.state === 'pending' ? current : null;
+
+      const transfer = {
+        transferId,
+        state: 'pending',
+        email,
+        locale,
+        fromUserName,
+        fromEmail,
+        fromUserId,
+        trackerDetails,
+        createdAt: existing ? existing.createdAt : now,
+        expiresAt: existing ? existing.expiresAt : sendAt + expiryMs,
+        remindersSent: existing ? existing.remindersSent : 0,
+        lastNotifiedAt: sendAt,
+        respondedAt: null,
+        updatedAt: now
+      };
+      result = { transfer, created: !existing };
+      return transfer;
+    });
+
+    return result;
+  }
+
+  async function get(transferId) {
+    return store.get(transferId);
+  }
+
+  /**
+   * Applies the action carried by a signed token.
+   * Returns { transfer } or { status, error } (and the transfer, when there is one).
+   */
+  async function respond(token) {
+    const [encodedId, action, signature] = typeof token === 'string' ? token.split('.') : [];
+    if (!encodedId || !ACTIONS.includes(action) || !signature) {
+      return { status: 400, error: 'Invalid transfer link' };
+    }
+
+    const transferId = Buffer.from(encodedId, 'base64url').toString('utf8');
+    const now = Date.now();
+    let result;
+
+    await store.update(transferId, (transfer) => {
+      if (!transfer || !safeEqual(signature, sign(transferId, action, transfer.createdAt))) {
+        result = { status: 400, error: 'Invalid transfer link' };
+        return undefined;
+      }
+
+      if (transfer.state === 'pending' && now > transfer.expiresAt) {
+        const expired = { ...transfer, state: 'expired', updatedAt: now };
+        result = { ...closed(expired), transfer: expired, expiredNow: true };
+        return expired;
+      }
+
+      if (transfer.state !== 'pending') {
+        result = { ...closed(transfer), transfer };
+        return undefined;
+      }
+
+      const answered = { ...transfer, state: OUTCOME_STATES[action], respondedAt: now, updatedAt: now };
+      result = { transfer: answered };
+      return answered;
+    });
+
+    return result;
+  }
+
+  /**
+   * Closes a pending transfer without an answer, e.g. when its scheduled
+   * email is cancelled before it goes out. Returns false when the transfer
+   * isn't pending.
+   */
+  async function cancel(transferId) {
+    let cancelled = false;
+    const now = Date.now();
+
+    await store.update(transferId, (transfer) => {
+      if (!transfer || transfer.state !== 'pending') return undefined;
+      cancelled = true;
+      return { ...transfer, state: 'cancelled', updatedAt: now };
+    });
+
+    return cancelled;
+  }
+
+  /**
+   * Expires overdue transfers and counts a reminder against the ones due
+   * one. Returns { expired: [transfer], reminders: [transfer] }.
+   */
+  async function sweep() {
+    const now = Date.now();
+    const expired = [];
+    const reminders = [];
+
+    for (const [transferId, record] of await store.entries()) {
+      if (record.state !== 'pending') continue;
+
+      await store.update(transferId, (transfer) => {
+        if (!transfer || transfer.state !== 'pending') return undefined;
+
+        if (now > transfer.expiresAt) {
+          const next = { ...transfer, state: 'expired', updatedAt: now };
+          expired.push(next);
+          return next;
+        }
+
+        if (transfer.remindersSent < maxReminders && now - transfer.lastNotifiedAt >= reminderAfterMs) {
+          const next = { ...transfer, remindersSent: transfer.remindersSent + 1, lastNotifiedAt: now, updatedAt: now };
+          reminders.push(next);
+          return next;
+        }
+
+        return undefined;
+      });
+    }
+
+    return { expired, reminders };
+  }
+
+  /**
+   * Forgets answered and expired transfers untouched for maxAgeMs.
+   * Returns how many were removed.
+   */
+  async function purge(maxAgeMs) {
+    const cutoff = Date.now() - maxAgeMs;
+    let removed = 0;
+
+    for (const [transferId, transfer] of await store.entries()) {
+      if (transfer.state !== 'pending' && transfer.updatedAt < cutoff) {
+        await store.delete(transferId);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  return { open, get, respond, cancel, sweep, purge, tokensFor };
+}
+
+function closed(transfer) {
+  return transfer.state === 'expired'
+    ? { status: 410, error: 'Transfer has expired' }
+    : { status: 409, error: `Transfer has already been ${transfer.state}` };
+}
+
+module.exports = { createTransfers };
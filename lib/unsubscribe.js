@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const { normalizeEmail, safeEqual } = require('./util');
+
+/**
+ * Signed per-recipient unsubscribe links.
+ *
+ * A token is `<base64url email>.<base64url HMAC-SHA256 of the email>`, so
+ * links need no storage and cannot be forged for another address.
+ *
+ * Two URLs are produced for each recipient:
+ *   - the one-click URL for the List-Unsubscribe header (RFC 8058), which
+ *     mail clients POST to directly: `<apiUrl>/api/unsubscribe?token=...`
+ *   - the page URL for the link in the email footer, a frontend page that
+ *     asks for confirmation and then POSTs the token. A plain GET must not
+ *     unsubscribe, since link scanners follow every URL in a message.
+ *
+ * @param {object} options
+ * @param {string} options.secret - HMAC key; changing it invalidates every link sent
+ * @param {string} options.apiUrl - Public base URL of this API
+ * @param {string} options.pageUrl - Frontend unsubscribe page
+ */
+function createUnsubscribeLinks({ secret, apiUrl, pageUrl }) {
+  function sign(email) {
+    return crypto.createHmac('sha256', secret).update(`unsubscribe:${normalizeEmail(email)}`).digest('base64url');
+  }
+
+  function createToken(email) {
+    return `${Buffer.from(normalizeEmail(email)).toString('base64url')}.${sign(email)}`;
+  }
+
+  /**
+   * Returns the address a token was issued for, or null if it is not valid.
+   */
+  function verifyToken(token) {
+    if (typeof token !== 'string') return null;
+
+    const [encodedEmail, signature] = token.split('.');
+    if (!encodedEmail || !signature) return null;
+
+    const email = Buffer.from(encodedEmail, 'base64url').toString('utf8');
+    return safeEqual(sign(email), signature) ? email : null;
+  }
+
+  /**
+   * Links and headers to add to a non-essential email for `email`.
+   */
+  function forRecipient(email) {
+    const token = encodeURIComponent(createToken(email));
+
+    return {
+      pageUrl: `${pageUrl}?token=${token}`,
+      headers: {
+        'List-Unsubscribe': `<${apiUrl}/api/unsubscribe?token=${token}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      }
+    };
+  }
+
+  return { createToken, verifyToken, forRecipient };
+}
+
+module.exports = { createUnsubscribeLinks };
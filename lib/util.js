@@ -0,0 +1,23 @@
+const crypto = require('crypto');
+
+/**
+ * Small helpers shared across lib/.
+ */
+
+/**
+ * Canonical form of an email address for keys and comparisons.
+ */
+function normalizeEmail(email) {
+  return String(email).trim().toLowerCase();
+}
+
+/**
+ * Compares two strings (signatures, digests) in constant time.
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+module.exports = { normalizeEmail, safeEqual };
@@ -0,0 +1,229 @@
+/**
+ * Declarative request body validation.
+ *
+ * A schema maps field names to rules:
+ *
+ *   {
+ *     email: { type: 'email', required: true },
+ *     trackerDetails: {
+ *       type: 'object',
+ *       required: true,
+ *       properties: { imei: { type: 'id', required: true } }
+ *     },
+ *     billingInterval: { type: 'string', enum: ['month', 'year'] }
+ *   }
+ *
+ * Types: string, email, url (http/https only), id (string or integer),
+ * number, money (number or display string such as "£7.99"), boolean,
+ * date (ISO 8601), base64, object and array (with `items` and `maxItems`).
+ * Strings accept maxLength, minLength and pattern (with patternCode for its
+ * error); numbers accept min and max; dates accept maxAheadMs, how far in
+ * the future they may be. A list of types (`type: ['url',
+ * 'object']`) accepts either: objects are checked as 'object', anything
+ * else against the first other type.
+ *
+ * Fields not in the schema are left alone. Every error carries a stable
+ * code the frontend can map to its own message:
+ *
+ *   BODY_INVALID, FIELD_REQUIRED, FIELD_INVALID_TYPE, EMAIL_INVALID, URL_INVALID,
+ *   STRING_TOO_LONG, STRING_TOO_SHORT, VALUE_NOT_ALLOWED, TOO_MANY_ITEMS,
+ *   NUMBER_OUT_OF_RANGE, DATE_INVALID, DATE_TOO_FAR, BASE64_INVALID, and FIELD_INVALID_FORMAT or the
+ *   rule's patternCode (e.g. CURRENCY_INVALID).
+ */
+
+const DEFAULT_MAX_LENGTH = {
+  string: 500,
+  email: 254,
+  url: 2048,
+  id: 128,
+  money: 32,
+  base64: Infinity // size limits for file content are up to the route
+};
+
+// Deliberately loose: one @, no spaces, a dot in the domain. SendGrid does the rest.
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Tested after whitespace (line breaks) is stripped; allowing \s inside the pattern backtracks quadratically
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+/**
+ * Validates `body` against `schema` and returns a list of
+ * { field, code, message }, empty when the body is valid.
+ */
+function validateBody(schema, body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return [{ field: null, code: 'BODY_INVALID', message: 'Request body must be a JSON object' }];
+  }
+  return validateObject(schema, body, '');
+}
+
+function validateObject(schema, object, prefix) {
+  const errors = [];
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const field = prefix + name;
+    const value = object[name];
+
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) errors.push(error(field, 'FIELD_REQUIRED', `${field} is required`));
+      continue;
+    }
+
+    errors.push(...validateValue(rule, value, field));
+  }
+
+  return errors;
+}
+
+function validateValue(rule, value, field) {
+  if (Array.isArray(rule.type)) {
+    const isObject = typeof value === 'object' && !Array.isArray(value);
+    const type = rule.type.find((candidate) => (candidate === 'object') === isObject);
+    if (!type) return [error(field, 'FIELD_INVALID_TYPE', `${field} must be ${rule.type.join(' or ')}`)];
+    return validateValue({ ...rule, type }, value, field);
+  }
+
+  switch (rule.type) {
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return [error(field, 'FIELD_INVALID_TYPE', `${field} must be an object`)];
+      }
+      return validateObject(rule.properties || {}, value, `${field}.`);
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        return [error(field, 'FIELD_INVALID_TYPE', `${field} must be an array`)];
+      }
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return [error(field, 'TOO_MANY_ITEMS', `${field} must have at most ${rule.maxItems} items`)];
+      }
+      return value.flatMap((item, index) => {
+        const itemField = `${field}[${index}]`;
+        if (item === undefined || item === null) return [error(itemField, 'FIELD_REQUIRED', `${itemField} is required`)];
+        return rule.items ? validateValue(rule.items, item, itemField) : [];
+      });
+
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return [error(field, 'FIELD_INVALID_TYPE', `${field} must be a number`)];
+      }
+      return checkRange(rule, value, field);
+
+    case 'money':
+      if (typeof value === 'number') {
+        return checkRange({ min: 0, ...rule }, value, field);
+      }
+      if (typeof value !== 'string') {
+        return [error(field, 'FIELD_INVALID_TYPE', `${field} must be a number or a string`)];
+      }
+      return checkString(rule, value, field);
+
+    case 'id':
+      if (Number.isInteger(value)) return [];
+      if (typeof value !== 'string') {
+        return [error(field, 'FIELD_INVALID_TYPE', `${field} must be a string`)];
+      }
+      return checkString(rule, value, field);
+
+    case 'boolean':
+      return typeof value === 'boolean' ? [] : [error(field, 'FIELD_INVALID_TYPE', `${field} must be true or false`)];
+
+    case 'email':
+    case 'url':
+    case 'date':
+    case 'base64':
+    case 'string': {
+      if (typeof value !== 'string') {
+        return [error(field, 'FIELD_INVALID_TYPE', `${field} must be a string`)];
+      }
+
+      const errors = checkString(rule, value, field);
+      if (errors.length) return errors;
+
+      if (rule.type === 'email' && !EMAIL_PATTERN.test(value)) {
+        return [error(field, 'EMAIL_INVALID', `${field} must be a valid email address`)];
+      }
+      if (rule.type === 'url' && !isHttpUrl(value)) {
+        return [error(field, 'URL_INVALID', `${field} must be an http or https URL`)];
+      }
+      if (rule.type === 'date' && Number.isNaN(Date.parse(value))) {
+        return [error(field, 'DATE_INVALID', `${field} must be an ISO 8601 date`)];
+      }
+      if (rule.type === 'date' && rule.maxAheadMs !== undefined && Date.parse(value) > Date.now() + rule.maxAheadMs) {
+        return [error(field, 'DATE_TOO_FAR', `${field} must be at most ${Math.round(rule.maxAheadMs / (24 * 60 * 60 * 1000))} days ahead`)];
+      }
+      if (rule.type === 'base64' && !isBase64(value)) {
+        return [error(field, 'BASE64_INVALID', `${field} must be base64 encoded`)];
+      }
+      return [];
+    }
+
+    default:
+      throw new Error(`Unknown schema type "${rule.type}" for ${field}`);
+  }
+}
+
+function isBase64(value) {
+  const compact = value.replace(/\s+/g, '');
+  return compact.length % 4 === 0 && BASE64_PATTERN.test(compact);
+}
+
+function checkString(rule, value, field) {
+  const maxLength = rule.maxLength || DEFAULT_MAX_LENGTH[rule.type] || DEFAULT_MAX_LENGTH.string;
+
+  if (value.length > maxLength) {
+    return [error(field, 'STRING_TOO_LONG', `${field} must be at most ${maxLength} characters`)];
+  }
+  if (rule.minLength && value.length < rule.minLength) {
+    return [error(field, 'STRING_TOO_SHORT', `${field} must be at least ${rule.minLength} characters`)];
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return [error(field, 'VALUE_NOT_ALLOWED', `${field} must be one of: ${rule.enum.join(', ')}`)];
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return [error(field, rule.patternCode || 'FIELD_INVALID_FORMAT', `${field} has an invalid format`)];
+  }
+  return [];
+}
+
+function checkRange(rule, value, field) {
+  if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+    const range = [rule.min !== undefined ? `at least ${rule.min}` : null, rule.max !== undefined ? `at most ${rule.max}` : null]
+      .filter(Boolean)
+      .join(' and ');
+    return [error(field, 'NUMBER_OUT_OF_RANGE', `${field} must be ${range}`)];
+  }
+  return [];
+}
+
+function isHttpUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (err) {
+    return false;
+  }
+}
+
+function error(field, code, message) {
+  return { field, code, message };
+}
+
+/**
+ * Express middleware that answers 400 with every field error before the
+ * route does any work.
+ */
+function validate(schema) {
+  return (req, res, next) => {
+    const errors = validateBody(schema, req.body);
+    if (errors.length === 0) return next();
+
+    res.status(400).json({
+      success: false,
+      error: 'Invalid request body',
+      code: 'VALIDATION_FAILED',
+      errors
+    });
+  };
+}
+
+module.exports = { validate, validateBody };
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'X-Twilio-Email-Event-Webhook-Signature';
+const TIMESTAMP_HEADER = 'X-Twilio-Email-Event-Webhook-Timestamp';
+
+// SendGrid event name → delivery log status
+const EVENT_STATUS = {
+  processed: 'processed',
+  deferred: 'deferred',
+  delivered: 'delivered',
+  open: 'opened',
+  click: 'clicked',
+  bounce: 'bounced',
+  dropped: 'dropped',
+  spamreport: 'complained',
+  unsubscribe: 'unsubscribed',
+  group_unsubscribe: 'unsubscribed'
+};
+
+/**
+ * SendGrid Event Webhook.
+ *
+ * Requests are signed with ECDSA (P-256, SHA-256) over
+ * `<timestamp><raw body>`; the verification key is the public key shown
+ * when the signed webhook is enabled in SendGrid, base64 DER or PEM.
+ * Requests signed more than `toleranceSeconds` ago are refused, so a
+ * captured batch can't be replayed later.
+ *
+ * Events find their message through the `messageId` custom arg the queue
+ * attaches on send, or else through SendGrid's own message id. Hard bounces,
+ * spam reports and unsubscribes add the address to the suppression list.
+ *
+ * @param {object} options
+ * @param {string} options.publicKey
+ * @param {object} options.deliveryLog - See lib/mail/delivery-log
+ * @param {object} options.suppressions - See lib/suppressions
+ * @param {number} [options.toleranceSeconds] - How old a signature may be
+ */
+function createSendGridWebhook({ publicKey, deliveryLog, suppressions, toleranceSeconds = 300 }) {
+  const key = crypto.createPublicKey(publicKey.includes('BEGIN PUBLIC KEY')
+    ? publicKey
+    : { key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' });
+
+  /**
+   * Checks the signature headers of an incoming request against its raw body.
+   */
+  function verify(req) {
+    const signature = req.get(SIGNATURE_HEADER);
+    const timestamp = req.get(TIMESTAMP_HEADER);
+    if (!signature || !timestamp || !req.rawBody) return false;
+    if (!/^\d+$/.test(timestamp) || Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) return false;
+
+    try {
+      return crypto.verify(
+        'sha256',
+        Buffer.concat([Buffer.from(timestamp, 'utf8'), req.rawBody]),
+        key,
+        Buffer.from(signature, 'base64')
+      );
+    } catch (error) {
+      // Malformed signatures throw rather than returning false
+      return false;
+    }
+  }
+
+  async function handleEvent(event) {
+    const status = EVENT_STATUS[event.event];
+    if (!status) return false;
+
+    const message = event.messageId
+      ? await deliveryLog.get(event.messageId)
+      : await deliveryLog.findByProviderMessageId(event.sg_message_id);
+
+    if (isHardBounce(event)) {
+      await suppressions.add(event.email, { reason: 'bounce', source: 'sendgrid', detail: event.reason || null });
+      console.log(`🚫 ${event.email} suppressed after a hard bounce`);
+    } else if (event.event === 'spamreport') {
+      await suppressions.add(event.email, { reason: 'complaint', source: 'sendgrid', detail: 'spam report' });
+      console.log(`🚫 ${event.email} suppressed after a spam report`);
+    } else if (status === 'unsubscribed') {
+      await suppressions.add(event.email, { reason: 'unsubscribe', source: 'sendgrid', detail: event.event });
+    }
+
+    if (!message) return false;
+
+    return deliveryLog.applyProviderEvent(message.id, {
+      status,
+      at: event.timestamp ? new Date(event.timestamp * 1000).toISOString() : undefined,
+      detail: describeEvent(event),
+      eventId: event.sg_event_id
+    });
+  }
+
+  /**
+   * Processes a batch of events. Returns how many updated a message and how
+   * many were ignored (unknown message, unhandled type or duplicate).
+   */
+  async function handle(events) {
+    let applied = 0;
+
+    for (const event of events) {
+      if (event && typeof event === 'object' && await handleEvent(event)) applied += 1;
+    }
+
+    return { applied, ignored: events.length - applied };
+  }
+
+  return { verify, handle };
+}
+
+function isHardBounce(event) {
+  // "blocked" bounces are usually temporary (reputation, content filters)
+  return event.event === 'bounce' && event.type !== 'blocked';
+}
+
+function describeEvent(event) {
+  if (event.event === 'click') return event.url || null;
+  return event.reason || event.response || null;
+}
+
+module.exports = { createSendGridWebhook };
@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'Stripe-Signature';
+
+// Currencies Stripe counts in whole units rather than hundredths
+const ZERO_DECIMAL_CURRENCIES = new Set([
+  'bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'
+]);
+
+// Stripe event type → email built from the event's object (null when there's nothing to send)
+const EVENT_EMAILS = {
+  'invoice.paid': (invoice, customer) => {
+    // Trials and fully discounted invoices are "paid" too, but nobody was charged
+    if (!invoice.amount_paid) return null;
+
+    return {
+      template: 'invoice',
+      to: invoice.customer_email || customer.email,
+      fields: {
+        invoiceId: invoice.number || invoice.id,
+        amount: toMajorUnits(invoice.amount_paid, invoice.currency),
+        currency: invoice.currency.toUpperCase(),
+        invoiceUrl: invoice.hosted_invoice_url,
+        invoicePdf: invoice.invoice_pdf
+      },
+      related: invoiceRelated(invoice)
+    };
+  },
+
+  'invoice.payment_failed': (invoice, customer) => paymentProblem(invoice, customer, { actionRequired: false }),
+
+  // Strong Customer Authentication: the bank wants the customer to confirm the payment
+  'invoice.payment_action_required': (invoice, customer) => paymentProblem(invoice, customer, { actionRequired: true }),
+
+  'customer.subscription.deleted': (subscription, customer, links) => {
+    const [item] = subscription.items ? subscription.items.data : [];
+    const price = item ? item.price : null;
+    const metadata = subscription.metadata || {};
+
+    return {
+      template: 'subscription-cancelled',
+      to: customer.email,
+      fields: {
+        firstName: firstNameOf(customer.name),
+        planName: metadata.planName || (price && price.nickname) || null,
+        vehicleName: metadata.vehicleName || null,
+        endedAt: toIsoDate(subscription.ended_at || subscription.canceled_at),
+        nonPayment: Boolean(subscription.cancellation_details && subscription.cancellation_details.reason === 'payment_failed'),
+        resubscribeUrl: links.resubscribeUrl
+      },
+      related: { customerId: customerId(subscription), subscriptionId: subscription.id }
+    };
+  }
+};
+
+// Events that only teach us who a customer is, for events that don't carry an email address
+const CUSTOMER_EVENTS = new Set(['customer.created', 'customer.updated']);
+
+/**
+ * Stripe webhook: turns billing events into emails.
+ *
+ * Requests are signed with HMAC-SHA256 over `<timestamp>.<raw body>`
+ * using the endpoint's signing secret (whsec_...). Several secrets can be
+ * configured while one is being rolled.
+ *
+ * Stripe delivers at least once, so every event id is recorded and
+ * repeats are acknowledged without sending anything. Subscription events
+ * don't include the customer's email address; it comes from an expanded
+ * customer, from customer.created/updated events seen earlier, or from the
+ * subscription's `email` metadata.
+ *
+ * @param {object} options
+ * @param {string[]} options.secrets
+ * @param {object} options.eventStore - Store for processed event ids
+ * @param {object} options.customerStore - Store for customer email addresses and locales
+ * @param {Function} options.notify - async ({ template, to, locale, fields, related }) => messageId
+ * @param {string} options.resubscribeUrl - Where cancelled customers can sign up again
+ * @param {number} [options.toleranceSeconds] - How old a signature may be
+ */
+function createStripeWebhook({ secrets, eventStore, customerStore, notify, resubscribeUrl, toleranceSeconds = 300 }) {
+  /**
+   * Checks the Stripe-Signature header of an incoming request against its raw body.
+   */
+  function verify(req) {
+    const header = req.get(SIGNATURE_HEADER);
+    if (!header || !req.rawBody) return false;
+
+    const { timestamp, signatures } = parseSignatureHeader(header);
+    if (!timestamp || !signatures.length) return false;
+    if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+    return secrets.some((secret) => {
+      const expected = Buffer.from(computeSignature(req.rawBody, secret, timestamp), 'hex');
+      return signatures.some((signature) => {
+        const given = Buffer.from(signature, 'hex');
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+      });
+    });
+  }
+
+  async function rememberCustomer(customer) {
+    if (!customer || typeof customer !== 'object' || !customer.id) return;
+
+    await customerStore.set(customer.id, {
+      email: customer.email || null,
+      name: customer.name || null,
+      locale: (customer.preferred_locales && customer.preferred_locales[0]) || null,
+      updatedAt: Date.now()
+    });
+  }
+
+  /**
+   * Who the event is about: the customer object when it was expanded,
+   * else what we learned from earlier events.
+   */
+  async function findCustomer(object) {
+    const known = object.customer ? await customerStore.get(customerId(object)) : null;
+    const expanded = object.customer && typeof object.customer === 'object' ? object.customer : {};
+    const metadata = object.metadata || {};
+
+    return {
+      email: expanded.email || (known && known.email) || metadata.email || null,
+      name: expanded.name || (known && known.name) || object.customer_name || null,
+      locale: metadata.locale
+        || (expanded.preferred_locales && expanded.preferred_locales[0])
+        || (known && known.locale)
+        || null
+    };
+  }
+
+  async function processEvent(event) {
+    const object = event.data.object;
+
+    if (CUSTOMER_EVENTS.has(event.type)) {
+      await rememberCustomer(object);
+      return { status: 'recorded' };
+    }
+
+    const build = EVENT_EMAILS[event.type];
+    if (!build) return { status: 'ignored', reason: 'unhandled event type' };
+
+    // Invoices carry the customer's details; keep them for later subscription events
+    if (event.type.startsWith('invoice.') && object.customer && object.customer_email) {
+      const existing = await customerStore.get(customerId(object));
+      if (!existing) {
+        await rememberCustomer({ id: customerId(object), email: object.customer_email, name: object.customer_name });
+      }
+    }
+
+    const customer = await findCustomer(object);
+    const email = build(object, customer, { resubscribeUrl });
+    if (!email) return { status: 'ignored', reason: 'nothing to send' };
+    if (!email.to) return { status: 'ignored', reason: 'no customer email address' };
+
+    const messageId = await notify({ ...email, locale: customer.locale, related: { ...email.related, stripeEventId: event.id } });
+    return { status: 'queued', template: email.template, messageId };
+  }
+
+  /**
+   * Handles one event. Resolves to { status, ... } where status is
+   * "queued", "recorded", "ignored" or "duplicate". Throws when the email
+   * couldn't be queued, after forgetting the event so Stripe's retry runs it.
+   */
+  async function handle(event) {
+    let duplicate = false;
+    await eventStore.update(event.id, (current) => {
+      if (current) {
+        duplicate = true;
+        return undefined;
+      }
+      return { type: event.type, receivedAt: Date.now() };
+    });
+
+    if (duplicate) return { status: 'duplicate' };
+
+    try {
+      const result = await processEvent(event);
+      await eventStore.update(event.id, (current) => (current ? { ...current, ...result } : undefined));
+      return result;
+    } catch (error) {
+      await eventStore.delete(event.id);
+      throw error;
+    }
+  }
+
+  /**
+   * Forgets processed events older than maxAgeMs. Returns how many were removed.
+   */
+  async function purge(maxAgeMs) {
+    const cutoff = Date.now() - maxAgeMs;
+    let removed = 0;
+
+    for (const [id, record] of await eventStore.entries()) {
+      if (record.receivedAt < cutoff) {
+        await eventStore.delete(id);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  return { verify, handle, purge };
+}
+
+function paymentProblem(invoice, customer, { actionRequired }) {
+  return {
+    template: 'payment-failed',
+    to: invoice.customer_email || customer.email,
+    fields: {
+      firstName: firstNameOf(customer.name),
+      invoiceId: invoice.number || invoice.id,
+      amount: toMajorUnits(invoice.amount_due, invoice.currency),
+      currency: invoice.currency.toUpperCase(),
+      // The hosted invoice page takes a new card and retries the payment
+      updatePaymentUrl: invoice.hosted_invoice_url,
+      nextAttemptAt: toIsoDate(invoice.next_payment_attempt),
+      actionRequired
+    },
+    related: invoiceRelated(invoice)
+  };
+}
+
+// Stripe keeps one full name; the emails greet people by their first name
+function firstNameOf(name) {
+  return name ? name.trim().split(/\s+/)[0] || null : null;
+}
+
+function invoiceRelated(invoice) {
+  return { invoiceId: invoice.number || invoice.id, customerId: customerId(invoice), subscriptionId: invoice.subscription || null };
+}
+
+function customerId(object) {
+  return object.customer && typeof object.customer === 'object' ? object.customer.id : object.customer || null;
+}
+
+function toMajorUnits(amount, currency) {
+  return ZERO_DECIMAL_CURRENCIES.has(currency.toLowerCase()) ? amount : amount / 100;
+}
+
+function toIsoDate(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+function parseSignatureHeader(header) {
+  const parsed = { timestamp: null, signatures: [] };
+
+  for (const part of header.split(',')) {
+    const [key, value] = part.split('=').map((piece) => piece && piece.trim());
+    if (key === 't') parsed.timestamp = Number(value) || null;
+    if (key === 'v1' && /^[0-9a-f]+$/i.test(value || '')) parsed.signatures.push(value);
+  }
+  return parsed;
+}
+
+function computeSignature(payload, secret, timestamp) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(payload).digest('hex');
+}
+
+/**
+ * Builds a Stripe-Signature header for a payload, for local testing.
+ */
+function signPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${computeSignature(payload, secret, timestamp)}`;
+}
+
+module.exports = { createStripeWebhook, signPayload };
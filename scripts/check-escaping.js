@@ -0,0 +1,167 @@
+/**
+ * Sends every hostile input in scripts/hostile-inputs.json through every
+ * route, one field at a time, and checks what comes out.
+ *
+ * A case passes when the route refuses it with a 4xx, or when the email it
+ * queues is safe: no raw markup from the input in the HTML, every href is
+ * http(s), mailto or "#", no link to the attacker's host from a text
+ * field, and a subject on a single line. Any 5xx fails.
+ *
+ * Id fields also get numbers, which the `id` schema type accepts: they have
+ * to send or be refused, like any other input.
+ *
+ * Runs the real server with the file transport and in-memory stores.
+ * Usage: npm run check:escaping
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const corpus = require('./hostile-inputs.json');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'email-api-escaping-'));
+const outboxDir = path.join(workDir, 'outbox');
+const port = process.env.CHECK_PORT || '3999';
+
+Object.assign(process.env, {
+  PORT: port,
+  MAIL_TRANSPORT: 'file',
+  MAIL_OUTBOX_DIR: outboxDir,
+  STORE_DRIVER: 'memory',
+  DATA_DIR: workDir,
+  AUTH_DISABLED: 'true',
+  RATE_LIMIT_PER_EMAIL: 'off',
+  RATE_LIMIT_PER_IP: 'off',
+  RATE_LIMIT_PER_CLIENT: 'off',
+  RESEND_COOLDOWN_SECONDS: '0',
+  UNSUBSCRIBE_SECRET: 'escaping-check'
+});
+
+// The server logs every send; keep the output to the results
+console.log = () => {};
+console.warn = () => {};
+require('../server');
+
+const baseUrl = `http://localhost:${port}`;
+const SAFE_HREF = /^(https?:\/\/|mailto:|#$)/i;
+
+function setField(body, field, value) {
+  const copy = structuredClone(body);
+  const parts = field.split('.');
+  const last = parts.pop();
+  parts.reduce((node, part) => node[part], copy)[last] = value;
+  return copy;
+}
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt += 1) {
+    try {
+      if ((await fetch(`${baseUrl}/health`)).ok) return;
+    } catch (error) {
+      // not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error('Server did not start');
+}
+
+async function waitForDelivery(messageId) {
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    const { message } = await (await fetch(`${baseUrl}/api/messages/${messageId}`)).json();
+    if (message && message.status !== 'queued' && message.status !== 'retrying') return message;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error(`Message ${messageId} was never delivered`);
+}
+
+/**
+ * Returns the problems found in a delivered message, if any.
+ */
+function inspect(msg, value, kind) {
+  const problems = [];
+
+  if (/[\r\n]/.test(msg.subject)) problems.push('subject spans several lines');
+
+  if (/[<"]/.test(value) && msg.html.includes(value)) problems.push('input appears unescaped in the HTML');
+
+  for (const [, href] of msg.html.matchAll(/href="([^"]*)"/g)) {
+    if (!SAFE_HREF.test(href)) problems.push(`unsafe href: ${href}`);
+    if (kind === 'text' && /^[a-z]+:\/\/[^/?#]*attacker\.example/i.test(href)) problems.push(`text field became a link: ${href}`);
+  }
+
+  if (/<script|<img|<style|\son\w+=/i.test(msg.html)) problems.push('HTML contains injected markup');
+
+  return problems;
+}
+
+let caseNumber = 0;
+
+/**
+ * The message a neutral route (one that doesn't return a messageId) queued
+ * for the case's userId, if any.
+ */
+async function findByUserId(userId) {
+  const { messages } = await (await fetch(`${baseUrl}/api/messages?userId=${encodeURIComponent(userId)}&limit=1`)).json();
+  return messages && messages.length ? messages[0].id : null;
+}
+
+async function runCase(route, { body, neutral }, field, value, kind) {
+  caseNumber += 1;
+  const userId = neutral ? `escaping-check-${caseNumber}` : undefined;
+  const response = await fetch(`${baseUrl}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': `escaping-check-${caseNumber}` },
+    body: JSON.stringify(setField(neutral ? { ...body, userId } : body, field, value))
+  });
+  const result = await response.json().catch(() => ({}));
+
+  if (response.status >= 500) return { outcome: 'failed', problems: [`${response.status} ${result.error || ''}`] };
+
+  const messageId = neutral && response.ok ? await findByUserId(userId) : result.messageId;
+  if (response.status >= 400 || !messageId) return { outcome: 'refused' };
+
+  const message = await waitForDelivery(messageId);
+  if (message.status !== 'sent') return { outcome: 'failed', problems: [`message ended up ${message.status}`] };
+
+  const msg = JSON.parse(fs.readFileSync(path.join(outboxDir, `${message.providerMessageId}.json`), 'utf8'));
+  const problems = inspect(msg, value, kind);
+  return problems.length ? { outcome: 'failed', problems } : { outcome: 'rendered' };
+}
+
+async function main() {
+  await waitForServer();
+
+  const counts = { refused: 0, rendered: 0, failed: 0 };
+  const failures = [];
+
+  for (const [route, { body, text, urls, ids, neutral }] of Object.entries(corpus.routes)) {
+    const cases = [
+      ...text.flatMap((field) => corpus.text.map((value) => [field, value, 'text'])),
+      ...urls.flatMap((field) => corpus.urls.map((value) => [field, value, 'url'])),
+      ...(ids || []).flatMap((field) => corpus.ids.map((value) => [field, value, 'id']))
+    ];
+
+    for (const [field, value, kind] of cases) {
+      const { outcome, problems } = await runCase(route, { body, neutral }, field, value, kind);
+      counts[outcome] += 1;
+      if (problems) failures.push({ route, field, value, problems });
+    }
+  }
+
+  for (const { route, field, value, problems } of failures) {
+    process.stdout.write(`✗ ${route} ${field}=${JSON.stringify(value)}\n    ${problems.join('\n    ')}\n`);
+  }
+  process.stdout.write(`${counts.rendered} rendered safely, ${counts.refused} refused, ${counts.failed} failed\n`);
+
+  return failures.length === 0;
+}
+
+main()
+  .then((ok) => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+    process.exit(ok ? 0 : 1);
+  })
+  .catch((error) => {
+    console.error(error);
+    fs.rmSync(workDir, { recursive: true, force: true });
+    process.exit(1);
+  });
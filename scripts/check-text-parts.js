@@ -0,0 +1,54 @@
+/**
+ * Renders every template in every locale with its sample data and checks
+ * the plain-text part: it must exist, carry no markup, and contain every
+ * link the HTML has, so a hand-written text.hbs can't drift from the HTML
+ * without this failing.
+ *
+ * Usage: npm run check:text
+ */
+const path = require('path');
+const { createI18n } = require('../lib/i18n');
+const { createTemplateRenderer } = require('../lib/templates');
+
+const root = path.join(__dirname, '..');
+const i18n = createI18n(path.join(root, 'locales'), { defaultLocale: 'en', currency: 'GBP', timeZone: 'Europe/London' });
+const templates = createTemplateRenderer(path.join(root, 'templates'), i18n);
+
+function decodeHref(href) {
+  return href.replace(/&amp;/g, '&').replace(/&#x3D;/g, '=');
+}
+
+/**
+ * Returns the problems found in one rendered email, if any.
+ */
+function inspect({ html, text }) {
+  if (!text) return ['no text part'];
+
+  const problems = [];
+
+  if (/<\/?[a-z][^>]*>/i.test(text)) problems.push('text contains HTML tags');
+  if (/&(#x?[0-9a-f]+|[a-z]+);/i.test(text)) problems.push('text contains HTML entities');
+
+  for (const [, href] of html.matchAll(/href="([^"]*)"/g)) {
+    const url = decodeHref(href);
+    if (/^https?:\/\//i.test(url) && !text.includes(url)) problems.push(`link missing from text: ${url}`);
+  }
+
+  return problems;
+}
+
+let failures = 0;
+
+for (const name of templates.list()) {
+  for (const locale of i18n.locales) {
+    const problems = inspect(templates.render(name, templates.fixture(name), { locale }));
+    if (problems.length) {
+      failures += 1;
+      process.stdout.write(`✗ ${name} (${locale})\n    ${[...new Set(problems)].join('\n    ')}\n`);
+    }
+  }
+}
+
+const total = templates.list().length * i18n.locales.length;
+process.stdout.write(`${total - failures} of ${total} emails have a complete text part\n`);
+process.exit(failures ? 1 : 0);
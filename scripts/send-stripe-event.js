@@ -0,0 +1,56 @@
+/**
+ * Posts a sample Stripe event from scripts/stripe-events/ to a running
+ * server, signed with STRIPE_WEBHOOK_SECRET the way Stripe signs it.
+ *
+ * Events keep their fixture id, so sending one twice shows the
+ * deduplication; --fresh gives the event a new id instead.
+ *
+ * Usage: npm run stripe:event -- <event type> [--fresh]
+ *        e.g. npm run stripe:event -- invoice.payment_failed
+ * Env:   STRIPE_WEBHOOK_SECRET, STRIPE_WEBHOOK_URL (default http://localhost:$PORT/api/webhooks/stripe)
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { signPayload } = require('../lib/webhooks/stripe');
+
+const eventsDir = path.join(__dirname, 'stripe-events');
+const available = fs.readdirSync(eventsDir).map((file) => path.basename(file, '.json'));
+
+const args = process.argv.slice(2);
+const type = args.find((arg) => !arg.startsWith('--'));
+const fresh = args.includes('--fresh');
+
+if (!type || !available.includes(type)) {
+  process.stderr.write(`Usage: npm run stripe:event -- <event type> [--fresh]\nEvents: ${available.join(', ')}\n`);
+  process.exit(1);
+}
+
+const secret = (process.env.STRIPE_WEBHOOK_SECRET || '').split(',')[0].trim();
+if (!secret) {
+  process.stderr.write('STRIPE_WEBHOOK_SECRET is not set\n');
+  process.exit(1);
+}
+
+const url = process.env.STRIPE_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/api/webhooks/stripe`;
+
+async function main() {
+  const event = JSON.parse(fs.readFileSync(path.join(eventsDir, `${type}.json`), 'utf8'));
+  if (fresh) event.id = `evt_${crypto.randomBytes(12).toString('hex')}`;
+
+  const payload = JSON.stringify(event);
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signPayload(payload, secret) },
+    body: payload
+  });
+
+  process.stdout.write(`${response.status} ${await response.text()}\n`);
+  process.exit(response.ok ? 0 : 1);
+}
+
+main().catch((error) => {
+  process.stderr.write(`${error.message}\n`);
+  process.exit(1);
+});
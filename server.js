@@ -1,163 +1,561 @@
 require('dotenv').config();
+const path = require('path');
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
-const sgMail = require('@sendgrid/mail');
-const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('./lib/stores');
+const { createTransport } = require('./lib/mail');
+const { createMailQueue } = require('./lib/mail/queue');
+const { createDeliveryLog } = require('./lib/mail/delivery-log');
+const { createSuppressionList } = require('./lib/suppressions');
+const { createSendGridWebhook } = require('./lib/webhooks/sendgrid');
+const { createStripeWebhook } = require('./lib/webhooks/stripe');
+const { createUnsubscribeLinks } = require('./lib/unsubscribe');
+const { createTransfers } = require('./lib/transfers');
+const { createTemplateRenderer } = require('./lib/templates');
+const { createReceiptRenderer, computeTotals } = require('./lib/receipts');
+const { toAttachment, checkAttachments } = require('./lib/mail/attachments');
+const { renderGallery } = require('./lib/templates/gallery');
+const { createI18n } = require('./lib/i18n');
+const { createAuth } = require('./lib/auth');
+const { createStoredTokens, createSignedTokens, parseSigningKeys, createVerificationCodes, parseTokenTtls } = require('./lib/tokens');
+const { createRateLimiter, parseLimit } = require('./lib/rate-limit');
+const { createIdempotency } = require('./lib/idempotency');
+const { validate } = require('./lib/validation');
+const schemas = require('./lib/schemas');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Configure SendGrid
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+// Behind a load balancer, set TRUST_PROXY (e.g. "1") so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
 
 // Middleware
-app.use(cors());
-app.use(express.json());
-
-// Temporary token storage (in production, use a database)
-const verificationTokens = new Map();
+app.use(cors({ origin: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',').map((o) => o.trim()) : true }));
+// Keep the raw body around for HMAC request signatures and webhook verification
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+// Attachment limits (decoded size); routes taking files accept bodies big enough to carry them as base64
+const ATTACHMENT_MAX_BYTES = Number(process.env.MAIL_ATTACHMENT_MAX_MB || 5) * 1024 * 1024;
+const ATTACHMENTS_MAX_TOTAL_BYTES = Number(process.env.MAIL_ATTACHMENTS_MAX_TOTAL_MB || 10) * 1024 * 1024;
+app.use('/api/send-invoice', express.json({
+  limit: Math.ceil((ATTACHMENTS_MAX_TOTAL_BYTES * 4) / 3) + 1024 * 1024,
+  verify: keepRawBody
+}));
+
+app.use(express.json({
+  // SendGrid posts event batches of several hundred KB
+  limit: process.env.JSON_BODY_LIMIT || '1mb',
+  verify: keepRawBody
+}));
 
 // Settings
 const SENDER_EMAIL = process.env.SENDER_EMAIL || 'noreply@drivecore.co.uk';
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const BILLING_URL = process.env.BILLING_URL || `${FRONTEND_URL}/gps/login`; // where users manage their subscription and card
+const API_PUBLIC_URL = process.env.API_PUBLIC_URL || `http://localhost:${PORT}`; // used in links that point back at this API
+const STORE_DRIVER = process.env.STORE_DRIVER || 'file'; // 'file' or 'memory' (dev only)
+const DATA_DIR = process.env.DATA_DIR || './data';
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'sendgrid'; // 'sendgrid', 'smtp', 'file' or 'console'
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en';
+const DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || 'GBP';
+const EMAIL_TIME_ZONE = process.env.EMAIL_TIME_ZONE || 'Europe/London';
+const CODE_TTL_MINUTES = Number(process.env.VERIFY_CODE_TTL_MINUTES || 15); // codes are short, so they live less than links
+const TOKEN_MODE = process.env.TOKEN_MODE || 'stored'; // 'stored' (kept server-side) or 'signed' (self-contained JWT)
+const EMAIL_VERIFICATION = 'email-verification'; // token purposes
+const PASSWORD_RESET = 'password-reset';
+const MAGIC_LINK = 'magic-link';
+const TOKEN_TTL_HOURS = parseTokenTtls(process.env.TOKEN_TTL_HOURS, { // per purpose, "<purpose>:<hours>,..."
+  [EMAIL_VERIFICATION]: 24,
+  [PASSWORD_RESET]: 1,
+  [MAGIC_LINK]: 0.25
+});
+const TOKEN_MAX_PENDING = Number(process.env.TOKEN_MAX_PENDING || 3); // unused links per address and purpose, 0 for no cap
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true'; // local development only
+const RESEND_COOLDOWN_SECONDS = Number(process.env.RESEND_COOLDOWN_SECONDS || 60);
+const TRANSFER_EXPIRY_DAYS = Number(process.env.TRANSFER_EXPIRY_DAYS || 7);
+const PREVIEW_GALLERY = process.env.PREVIEW_GALLERY
+  ? process.env.PREVIEW_GALLERY === 'true'
+  : process.env.NODE_ENV !== 'production'; // off in production unless asked for
+
+// Configure mail transport
+const mailTransport = createTransport(MAIL_TRANSPORT, {
+  sendgrid: { apiKey: process.env.SENDGRID_API_KEY },
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: Number(process.env.SMTP_PORT || 1025),
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  },
+  file: { outboxDir: process.env.MAIL_OUTBOX_DIR || './outbox' }
+});
+
+// Delivery history per message, for "did the customer get the email?"
+const deliveryLog = createDeliveryLog({
+  store: createStore('mail-log', { driver: STORE_DRIVER, dataDir: DATA_DIR, perEntry: true }),
+  index: createStore('mail-log-index', { driver: STORE_DRIVER, dataDir: DATA_DIR, perEntry: true })
+});
+deliveryLog.buildIndex()
+  .then((count) => count && console.log(`🗂️  Indexed ${count} delivery log records`))
+  .catch((error) => console.error('Error indexing delivery log:', error));
+
+// Addresses that bounced, complained or unsubscribed (see lib/suppressions for what each one blocks)
+const suppressions = createSuppressionList({
+  store: createStore('suppressions', { driver: STORE_DRIVER, dataDir: DATA_DIR })
+});
+
+// Outbound queue: routes enqueue, the worker delivers with retries
+const mailQueue = createMailQueue({
+  store: createStore('mail-queue', { driver: STORE_DRIVER, dataDir: DATA_DIR }),
+  attachmentStore: createStore('mail-queue-attachments', { driver: STORE_DRIVER, dataDir: DATA_DIR, perEntry: true }),
+  deadLetterStore: createStore('mail-dead-letters', { driver: STORE_DRIVER, dataDir: DATA_DIR }),
+  transport: mailTransport,
+  deliveryLog,
+  suppressions,
+  maxAttempts: Number(process.env.MAIL_MAX_ATTEMPTS || 8),
+  baseDelayMs: Number(process.env.MAIL_RETRY_BASE_SECONDS || 5) * 1000
+});
+
+// One-click unsubscribe links for non-essential emails
+if (!process.env.UNSUBSCRIBE_SECRET) {
+  console.warn('⚠️  UNSUBSCRIBE_SECRET is not set - unsubscribe links will stop working after a restart.');
+}
+const unsubscribeLinks = createUnsubscribeLinks({
+  secret: process.env.UNSUBSCRIBE_SECRET || crypto.randomBytes(32).toString('hex'),
+  apiUrl: API_PUBLIC_URL,
+  pageUrl: process.env.UNSUBSCRIBE_PAGE_URL || `${FRONTEND_URL}/unsubscribe`
+});
+
+// SendGrid Event Webhook, enabled once its verification key is configured
+const sendgridWebhook = process.env.SENDGRID_WEBHOOK_PUBLIC_KEY
+  ? createSendGridWebhook({
+    publicKey: process.env.SENDGRID_WEBHOOK_PUBLIC_KEY,
+    toleranceSeconds: Number(process.env.SENDGRID_WEBHOOK_TOLERANCE_SECONDS || 300),
+    deliveryLog,
+    suppressions
+  })
+  : null;
+
+// Message catalogs (see locales/) and email templates (see templates/)
+const i18n = createI18n(path.join(__dirname, 'locales'), {
+  defaultLocale: DEFAULT_LOCALE,
+  currency: DEFAULT_CURRENCY,
+  timeZone: EMAIL_TIME_ZONE
+});
+const templates = createTemplateRenderer(path.join(__dirname, 'templates'), i18n);
+const receipts = createReceiptRenderer({ i18n });
+
+// Stripe webhook, enabled once its signing secret is configured (comma-separated while rolling it)
+const STRIPE_EVENT_RETENTION_DAYS = Number(process.env.STRIPE_EVENT_RETENTION_DAYS || 30);
+const stripeWebhook = process.env.STRIPE_WEBHOOK_SECRET
+  ? createStripeWebhook({
+    secrets: process.env.STRIPE_WEBHOOK_SECRET.split(',').map((secret) => secret.trim()).filter(Boolean),
+    toleranceSeconds: Number(process.env.STRIPE_WEBHOOK_TOLERANCE_SECONDS || 300),
+    eventStore: createStore('stripe-events', { driver: STORE_DRIVER, dataDir: DATA_DIR }),
+    customerStore: createStore('stripe-customers', { driver: STORE_DRIVER, dataDir: DATA_DIR }),
+    resubscribeUrl: BILLING_URL,
+    notify: ({ template, to, locale, fields, related }) => mailQueue.enqueue({
+      to,
+      from: {
+        email: SENDER_EMAIL,
+        name: 'DriveCore'
+      },
+      ...templates.render(template, fields, { locale: i18n.match(locale) || i18n.defaultLocale })
+    }, {
+      template,
+      category: 'transactional',
+      related
+    })
+  })
+  : null;
+
+/**
+ * Picks the email locale: the `locale` body field when we have a catalog
+ * for it, then the Accept-Language header, then the default locale.
+ */
+function getLocale(req) {
+  return i18n.match(req.body.locale)
+    || req.acceptsLanguages(i18n.locales)
+    || i18n.defaultLocale;
+}
+
+/**
+ * When a send route's email should go out: `sendAt` from the body, or now.
+ * Links and codes in the email count their lifetime from this time.
+ */
+function sendTimeOf(req) {
+  return req.body.sendAt ? Math.max(Date.parse(req.body.sendAt), Date.now()) : Date.now();
+}
+
+/**
+ * `scheduledFor` for a send route's response; left out for immediate sends.
+ */
+function scheduledFor(sendAt) {
+  return sendAt > Date.now() ? new Date(sendAt).toISOString() : undefined;
+}
+
+/**
+ * What a send route created along with its email, kept in the job's meta
+ * so cancelling a scheduled email can undo it (see revokeIssued).
+ */
+function issuedWith(req, { tokens = [], codes = [], transferId = null } = {}) {
+  return {
+    tokens: tokens.filter(Boolean),
+    codes: codes.filter(({ code }) => code),
+    transferId,
+    idempotencyKey: req.idempotencyKey || null
+  };
+}
+
+/**
+ * A link carrying `token` in its query, keeping any query the URL already has.
+ */
+function linkWithToken(url, token) {
+  const link = new URL(url);
+  link.searchParams.set('token', token);
+  return link.toString();
+}
+
+/**
+ * Queue job without the (large) message body, for listings.
+ */
+function summarizeJob(job) {
+  return {
+    id: job.id,
+    template: job.meta.template,
+    to: job.msg.to,
+    subject: job.msg.subject,
+    attempts: job.attempts,
+    lastError: job.lastError,
+    createdAt: new Date(job.createdAt).toISOString(),
+    failedAt: job.failedAt ? new Date(job.failedAt).toISOString() : null
+  };
+}
+
+// Token storage (file-backed by default so links survive restarts)
+const verificationTokens = createStore('verification-tokens', { driver: STORE_DRIVER, dataDir: DATA_DIR });
+const storedTokens = createStoredTokens({
+  store: verificationTokens,
+  maxPending: TOKEN_MAX_PENDING || null,
+  verifiedRetentionMs: Number(process.env.TOKEN_VERIFIED_RETENTION_HOURS || 24) * 60 * 60 * 1000
+});
+
+// Signed tokens: TOKEN_SIGNING_KEYS="<kid>:<secret>,..." and TOKEN_SIGNING_KEY_ID picks the one that signs.
+// Listing the old key next to the new one keeps existing links valid during rotation.
+const signingKeys = parseSigningKeys(process.env.TOKEN_SIGNING_KEYS);
+const signedTokens = signingKeys.length
+  ? createSignedTokens({
+    keys: signingKeys,
+    activeKid: process.env.TOKEN_SIGNING_KEY_ID,
+    usedStore: createStore('used-tokens', { driver: STORE_DRIVER, dataDir: DATA_DIR }),
+    maxPending: TOKEN_MAX_PENDING || null
+  })
+  : null;
+
+// Password reset tokens always live in their own store, whatever TOKEN_MODE says:
+// they can't be mistaken for verification links and a new one can always revoke the last
+const passwordResetTokens = createStoredTokens({
+  store: createStore('password-reset-tokens', { driver: STORE_DRIVER, dataDir: DATA_DIR }),
+  maxPending: 1,
+  verifiedRetentionMs: Number(process.env.TOKEN_VERIFIED_RETENTION_HOURS || 24) * 60 * 60 * 1000
+});
+// The token store speaks of verifying emails; say what went wrong with the reset link instead
+const PASSWORD_RESET_ERRORS = {
+  400: 'Password reset link has already been used',
+  404: 'Invalid password reset link',
+  410: 'Password reset link has expired'
+};
+// Sign-in links come from the same backends as verification links; the purpose keeps them apart
+const MAGIC_LINK_ERRORS = {
+  400: 'Sign-in link has already been used',
+  403: 'Sign-in link was requested on another device',
+  404: 'Invalid sign-in link',
+  410: 'Sign-in link has expired or been replaced'
+};
+
+if (TOKEN_MODE === 'signed' && !signedTokens) {
+  throw new Error('TOKEN_MODE=signed needs TOKEN_SIGNING_KEYS');
+}
+const issuingTokens = TOKEN_MODE === 'signed' ? signedTokens : storedTokens;
+
+// Numeric codes for `mode: "code"`, entered in the app instead of following the link
+const verificationCodes = createVerificationCodes({
+  store: createStore('verification-codes', { driver: STORE_DRIVER, dataDir: DATA_DIR }),
+  maxAttempts: Number(process.env.VERIFY_CODE_MAX_ATTEMPTS || 5),
+  lockoutMs: Number(process.env.VERIFY_CODE_LOCKOUT_MINUTES || 15) * 60 * 1000
+});
+
+/**
+ * Picks the token backend for a token, so links issued before a change of
+ * TOKEN_MODE keep working.
+ */
+function tokensFor(token) {
+  return signedTokens && signedTokens.isSignedToken(token) ? signedTokens : storedTokens;
+}
+
+/**
+ * Invalidates the unused links already sent to an address for a purpose,
+ * whichever backend issued them. Returns how many were invalidated.
+ */
+async function revokePendingTokens(owner) {
+  let revoked = await storedTokens.revokePending(owner);
+  if (signedTokens) revoked += await signedTokens.revokePending(owner);
+  return revoked;
+}
+
+// Tracker transfers: state per transferId, signed accept/decline links, reminders and expiry
+if (!process.env.TRANSFER_LINK_SECRET) {
+  console.warn('⚠️  TRANSFER_LINK_SECRET is not set - transfer links will stop working after a restart.');
+}
+const transfers = createTransfers({
+  store: createStore('transfers', { driver: STORE_DRIVER, dataDir: DATA_DIR }),
+  secret: process.env.TRANSFER_LINK_SECRET || crypto.randomBytes(32).toString('hex'),
+  expiryMs: TRANSFER_EXPIRY_DAYS * 24 * 60 * 60 * 1000,
+  reminderAfterMs: Number(process.env.TRANSFER_REMINDER_DAYS || 3) * 24 * 60 * 60 * 1000,
+  maxReminders: Number(process.env.TRANSFER_MAX_REMINDERS || 1)
+});
+
+/**
+ * Transfer as returned by the API.
+ * A pending transfer past its expiry shows as expired before the sweep gets to it.
+ */
+function summarizeTransfer(transfer) {
+  const toIso = (time) => (time ? new Date(time).toISOString() : null);
+
+  return {
+    transferId: transfer.transferId,
+    state: transfer.state === 'pending' && Date.now() > transfer.expiresAt ? 'expired' : transfer.state,
+    email: transfer.email,
+    fromUserName: transfer.fromUserName,
+    fromEmail: transfer.fromEmail,
+    fromUserId: transfer.fromUserId,
+    trackerDetails: transfer.trackerDetails,
+    remindersSent: transfer.remindersSent,
+    createdAt: toIso(transfer.createdAt),
+    expiresAt: toIso(transfer.expiresAt),
+    lastNotifiedAt: toIso(transfer.lastNotifiedAt),
+    respondedAt: toIso(transfer.respondedAt),
+    updatedAt: toIso(transfer.updatedAt)
+  };
+}
+
+/**
+ * Queues the transfer request, or a reminder of it, for the recipient.
+ */
+async function sendTransferRequest(transfer, { reminder = false, sendAt = null, issued } = {}) {
+  const { transferId, email, trackerDetails } = transfer;
+  const tokens = transfers.tokensFor(transfer);
+
+  // Link goes to registration page with IMEI and email pre-filled, plus transfer ID.
+  // The page hands transferToken to POST /api/transfers/respond once the account exists.
+  const acceptUrl = `${FRONTEND_URL}/register?imei=${encodeURIComponent(trackerDetails.imei)}&transferId=${encodeURIComponent(transferId)}&email=${encodeURIComponent(email)}&transferToken=${encodeURIComponent(tokens.accept)}`;
+  // A page that asks before declining: link scanners follow every URL in a message
+  const declineUrl = `${FRONTEND_URL}/transfer/decline?token=${encodeURIComponent(tokens.decline)}`;
+
+  const msg = {
+    to: email,
+    from: SENDER_EMAIL,
+    ...templates.render('transfer', {
+      acceptUrl,
+      declineUrl,
+      reminder,
+      expiresAt: transfer.expiresAt,
+      fromUserName: transfer.fromUserName,
+      vehicleName: trackerDetails.vehicleName,
+      registrationNumber: trackerDetails.registrationNumber,
+      imei: trackerDetails.imei
+    }, { locale: transfer.locale || i18n.defaultLocale })
+  };
+
+  return mailQueue.enqueue(msg, {
+    template: 'transfer',
+    category: 'transactional',
+    related: { transferId },
+    issued
+  }, { sendAt });
+}
+
+/**
+ * Tells the owner how their transfer ended. Skipped when the request
+ * didn't include their address.
+ */
+async function sendTransferOutcome(transfer) {
+  if (!transfer.fromEmail) return null;
+
+  const { trackerDetails } = transfer;
+  const msg = {
+    to: transfer.fromEmail,
+    from: SENDER_EMAIL,
+    ...templates.render('transfer-outcome', {
+      name: transfer.fromUserName,
+      recipientEmail: transfer.email,
+      accepted: transfer.state === 'accepted',
+      declined: transfer.state === 'declined',
+      expired: transfer.state === 'expired',
+      vehicleName: trackerDetails.vehicleName,
+      registrationNumber: trackerDetails.registrationNumber,
+      imei: trackerDetails.imei,
+      dashboardUrl: `${FRONTEND_URL}/gps/login`
+    }, { locale: transfer.locale || i18n.defaultLocale })
+  };
+
+  return mailQueue.enqueue(msg, {
+    template: 'transfer-outcome',
+    category: 'transactional',
+    related: { transferId: transfer.transferId, userId: transfer.fromUserId }
+  });
+}
+
+/**
+ * Sends the reminders that are due and tells owners about transfers that expired.
+ */
+async function processTransfers() {
+  const { expired, reminders } = await transfers.sweep();
+
+  for (const transfer of reminders) {
+    await sendTransferRequest(transfer, { reminder: true });
+    console.log(`📨 Transfer reminder queued for ${transfer.email} (Transfer: ${transfer.transferId})`);
+  }
+
+  for (const transfer of expired) {
+    await sendTransferOutcome(transfer);
+    console.log(`⏰ Transfer ${transfer.transferId} expired without an answer`);
+  }
+}
+
+// API client authentication (see lib/auth.js for the clients config format)
+const auth = createAuth({
+  clientsFile: process.env.API_CLIENTS_FILE,
+  clientsJson: process.env.API_CLIENTS,
+  nonceStore: createStore('auth-nonces', { driver: STORE_DRIVER, dataDir: DATA_DIR }),
+  disabled: AUTH_DISABLED
+});
+const { requireScope } = auth;
+
+if (AUTH_DISABLED) {
+  console.warn('⚠️  AUTH_DISABLED is set - every endpoint is open. Never use this in production.');
+} else {
+  auth.loadClients();
+}
+
+// Send limits ("<max>/<seconds>", "off" to disable)
+const rateLimiter = createRateLimiter({
+  store: createStore('rate-limits', { driver: STORE_DRIVER, dataDir: DATA_DIR }),
+  perEmail: parseLimit(process.env.RATE_LIMIT_PER_EMAIL || '5/3600'),
+  // Off unless set: callers are backends with their own keys, often behind one egress IP,
+  // and the per-client limit already covers them
+  perIp: parseLimit(process.env.RATE_LIMIT_PER_IP || 'off'),
+  perClient: parseLimit(process.env.RATE_LIMIT_PER_CLIENT || '600/60'),
+  cooldownMs: RESEND_COOLDOWN_SECONDS * 1000
+});
+const limitSends = rateLimiter.limit;
+
+// Idempotency-Key handling for send routes, so retried calls don't send twice
+const idempotency = createIdempotency({
+  store: createStore('idempotency-keys', { driver: STORE_DRIVER, dataDir: DATA_DIR }),
+  windowMs: Number(process.env.IDEMPOTENCY_WINDOW_HOURS || 24) * 60 * 60 * 1000,
+  leaseMs: Number(process.env.IDEMPOTENCY_LEASE_SECONDS || 60) * 1000
+});
+const { idempotent } = idempotency;
+
+const MAIL_LOG_RETENTION_DAYS = Number(process.env.MAIL_LOG_RETENTION_DAYS || 90);
+const TRANSFER_RETENTION_DAYS = Number(process.env.TRANSFER_RETENTION_DAYS || 90);
+
+// Housekeeping every 10 minutes: transfer reminders and expiry, then forget expired request signatures,
+// rate limit windows, idempotency keys, used tokens, closed transfers, old Stripe events and old delivery records
+setInterval(() => {
+  auth.purgeNonces().catch((error) => console.error('Error purging request nonces:', error));
+  rateLimiter.purge().catch((error) => console.error('Error purging rate limits:', error));
+  idempotency.purge().catch((error) => console.error('Error purging idempotency keys:', error));
+  storedTokens.purge().catch((error) => console.error('Error purging verification tokens:', error));
+  if (signedTokens) signedTokens.purge().catch((error) => console.error('Error purging used tokens:', error));
+  passwordResetTokens.purge().catch((error) => console.error('Error purging password reset tokens:', error));
+  verificationCodes.purge().catch((error) => console.error('Error purging verification codes:', error));
+  processTransfers().catch((error) => console.error('Error processing transfers:', error));
+  transfers.purge(TRANSFER_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    .catch((error) => console.error('Error purging transfers:', error));
+  if (stripeWebhook) {
+    stripeWebhook.purge(STRIPE_EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+      .catch((error) => console.error('Error purging Stripe events:', error));
+  }
+  deliveryLog.purge(MAIL_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    .catch((error) => console.error('Error purging delivery log:', error));
+}, 10 * 60 * 1000).unref();
 
 /**
  * POST /api/send-verification
  * Sends a verification email to the user
- * Body: { email: string, userId?: string, callbackUrl?: string }
+ * Scope: send:verification
+ * Headers: Idempotency-Key?
+ * Body: { email: string, userId?: string, callbackUrl?: string, mode?: "link" | "code" | "both", sendAt?: string (ISO date), locale?: string }
  */
-app.post('/api/send-verification', async (req, res) => {
+app.post('/api/send-verification', requireScope('send:verification'), validate(schemas.sendVerification), idempotent(), limitSends({ cooldown: EMAIL_VERIFICATION }), async (req, res) => {
   try {
     const { email, userId, callbackUrl } = req.body;
-
-    if (!email) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Email is required' 
-      });
+    const mode = req.body.mode || 'link';
+
+    let verificationUrl = null;
+    let token = null;
+    let code = null;
+    const sendAt = sendTimeOf(req);
+    const expiresAt = sendAt + TOKEN_TTL_HOURS[EMAIL_VERIFICATION] * 60 * 60 * 1000;
+
+    if (mode !== 'code') {
+      // If callbackUrl contains Firebase oobCode or is a direct frontend verify link, use it directly
+      if (callbackUrl && (callbackUrl.includes('oobCode=') || callbackUrl.includes('mode=verifyEmail'))) {
+        verificationUrl = callbackUrl;
+        console.log('Using Firebase/direct verification link for send-verification');
+      } else {
+        // Fallback: Generate our own token (legacy behavior)
+        token = await issuingTokens.issue({ email, userId, purpose: EMAIL_VERIFICATION, expiresAt });
+
+        verificationUrl = callbackUrl 
+          ? `${callbackUrl}?token=${token}`
+          : `${FRONTEND_URL}/verify?token=${token}`;
+        console.log('Using custom token verification for send-verification');
+      }
     }
 
-    let verificationUrl;
-
-    // If callbackUrl contains Firebase oobCode or is a direct frontend verify link, use it directly
-    if (callbackUrl && (callbackUrl.includes('oobCode=') || callbackUrl.includes('mode=verifyEmail'))) {
-      verificationUrl = callbackUrl;
-      console.log('Using Firebase/direct verification link for send-verification');
-    } else {
-      // Fallback: Generate our own token (legacy behavior)
-      const token = uuidv4();
-      const expiresAt = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
-
-      // Store token
-      verificationTokens.set(token, {
+    if (mode !== 'link') {
+      code = await verificationCodes.issue({
         email,
-        userId: userId || null,
-        expiresAt,
-        verified: false
+        userId,
+        purpose: EMAIL_VERIFICATION,
+        expiresAt: sendAt + CODE_TTL_MINUTES * 60 * 1000,
+        token
       });
-
-      verificationUrl = callbackUrl 
-        ? `${callbackUrl}?token=${token}`
-        : `${FRONTEND_URL}/verify?token=${token}`;
-      console.log('Using custom token verification for send-verification');
     }
 
     // Email template
     const msg = {
       to: email,
       from: SENDER_EMAIL,
-      subject: '✉️ Verify your email address',
-      text: `Hello!\n\nClick the link below to verify your email:\n${verificationUrl}\n\nThis link expires in 24 hours.\n\nIf you did not request this verification, please ignore this email.`,
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        </head>
-        <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #0f0f0f;">
-          <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #0f0f0f; padding: 40px 20px;">
-            <tr>
-              <td align="center">
-                <table width="100%" max-width="520px" cellpadding="0" cellspacing="0" style="background: linear-gradient(145deg, #1a1a2e 0%, #16213e 100%); border-radius: 16px; overflow: hidden; box-shadow: 0 20px 60px rgba(0,0,0,0.5);">
-                  
-                  <!-- Header -->
-                  <tr>
-                    <td style="padding: 40px 40px 30px; text-align: center; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);">
-                      <div style="width: 70px; height: 70px; background: rgba(255,255,255,0.2); border-radius: 50%; margin: 0 auto 20px; display: flex; align-items: center; justify-content: center;">
-                        <span style="font-size: 32px;">✉️</span>
-                      </div>
-                      <h1 style="margin: 0; color: #ffffff; font-size: 26px; font-weight: 600; letter-spacing: -0.5px;">
-                        Verify Your Email
-                      </h1>
-                    </td>
-                  </tr>
-                  
-                  <!-- Content -->
-                  <tr>
-                    <td style="padding: 40px;">
-                      <p style="margin: 0 0 25px; color: #a0a0a0; font-size: 16px; line-height: 1.6;">
-                        Hello! 👋
-                      </p>
-                      <p style="margin: 0 0 30px; color: #e0e0e0; font-size: 16px; line-height: 1.7;">
-                        We're almost there! Click the button below to confirm your email address and activate your account.
-                      </p>
-                      
-                      <!-- Button -->
-                      <table width="100%" cellpadding="0" cellspacing="0">
-                        <tr>
-                          <td align="center" style="padding: 10px 0 35px;">
-                            <a href="${verificationUrl}" style="display: inline-block; padding: 16px 40px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #ffffff; text-decoration: none; font-size: 16px; font-weight: 600; border-radius: 50px; box-shadow: 0 8px 25px rgba(102, 126, 234, 0.4); transition: transform 0.2s;">
-                              Verify Email →
-                            </a>
-                          </td>
-                        </tr>
-                      </table>
-                      
-                      <p style="margin: 0 0 20px; color: #707070; font-size: 14px; line-height: 1.6;">
-                        Or copy and paste this link into your browser:
-                      </p>
-                      <p style="margin: 0 0 30px; padding: 15px; background: rgba(255,255,255,0.05); border-radius: 8px; word-break: break-all;">
-                        <a href="${verificationUrl}" style="color: #667eea; text-decoration: none; font-size: 13px;">${verificationUrl}</a>
-                      </p>
-                      
-                      <!-- Warning -->
-                      <table width="100%" cellpadding="0" cellspacing="0" style="background: rgba(255, 193, 7, 0.1); border-left: 3px solid #ffc107; border-radius: 0 8px 8px 0;">
-                        <tr>
-                          <td style="padding: 15px 20px;">
-                            <p style="margin: 0; color: #ffc107; font-size: 13px;">
-                              ⏰ This link expires in <strong>24 hours</strong>
-                            </p>
-                          </td>
-                        </tr>
-                      </table>
-                    </td>
-                  </tr>
-                  
-                  <!-- Footer -->
-                  <tr>
-                    <td style="padding: 25px 40px; background: rgba(0,0,0,0.2); border-top: 1px solid rgba(255,255,255,0.05);">
-                      <p style="margin: 0; color: #505050; font-size: 12px; text-align: center; line-height: 1.6;">
-                        If you did not request this verification, please ignore this email.<br>
-                        Your account will remain secure.
-                      </p>
-                    </td>
-                  </tr>
-                  
-                </table>
-              </td>
-            </tr>
-          </table>
-        </body>
-        </html>
-      `
+      ...templates.render('verification', {
+        verificationUrl,
+        expiresAt,
+        expiresInHours: TOKEN_TTL_HOURS[EMAIL_VERIFICATION],
+        code,
+        codeExpiresInMinutes: CODE_TTL_MINUTES
+      }, { locale: getLocale(req) })
     };
 
-    await sgMail.send(msg);
+    const messageId = await mailQueue.enqueue(msg, {
+      template: 'verification',
+      category: 'transactional',
+      related: { userId },
+      issued: issuedWith(req, { tokens: [token], codes: [{ email, purpose: EMAIL_VERIFICATION, code }] })
+    }, { sendAt });
 
-    res.json({ 
+    res.status(202).json({ 
       success: true, 
-      message: 'Verification email sent successfully',
+      message: 'Verification email queued',
+      messageId,
+      scheduledFor: scheduledFor(sendAt),
       token // Returns token for testing (remove in production)
     });
 
@@ -173,127 +571,81 @@ app.post('/api/send-verification', async (req, res) => {
 
 /**
  * POST /api/resend-verification
- * Alias for /api/send-verification - resends verification email
- * Body: { email: string, userId?: string, callbackUrl?: string }
+ * Alias for /api/send-verification - resends verification email.
+ * Links and codes from earlier emails stop working.
+ * Scope: send:verification
+ * Headers: Idempotency-Key?
+ * Body: { email: string, userId?: string, callbackUrl?: string, mode?: "link" | "code" | "both", sendAt?: string (ISO date), locale?: string }
  */
-app.post('/api/resend-verification', async (req, res) => {
+app.post('/api/resend-verification', requireScope('send:verification'), validate(schemas.sendVerification), idempotent(), limitSends({ cooldown: EMAIL_VERIFICATION }), async (req, res) => {
   // Forward to send-verification handler
   try {
     const { email, userId, callbackUrl } = req.body;
-
-    if (!email) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Email is required' 
-      });
+    const mode = req.body.mode || 'link';
+
+    let verificationUrl = null;
+    let token = null;
+    let code = null;
+    const sendAt = sendTimeOf(req);
+    const expiresAt = sendAt + TOKEN_TTL_HOURS[EMAIL_VERIFICATION] * 60 * 60 * 1000;
+
+    // Only the link or code in this email should work from now on
+    const supersededTokens = await revokePendingTokens({ email, userId, purpose: EMAIL_VERIFICATION });
+    if (supersededTokens) console.log(`🔁 Invalidated ${supersededTokens} earlier verification link(s) for ${email}`);
+    if (await verificationCodes.revokeFor(email, EMAIL_VERIFICATION)) {
+      console.log(`🔁 Invalidated the earlier verification code for ${email}`);
     }
 
-    let verificationUrl;
-
-    // If callbackUrl contains Firebase oobCode or is a direct frontend verify link, use it directly
-    if (callbackUrl && (callbackUrl.includes('oobCode=') || callbackUrl.includes('mode=verifyEmail'))) {
-      verificationUrl = callbackUrl;
-      console.log('Using Firebase/direct verification link for resend');
-    } else {
-      // Fallback: Generate our own token
-      const token = uuidv4();
-      const expiresAt = Date.now() + 24 * 60 * 60 * 1000;
+    if (mode !== 'code') {
+      // If callbackUrl contains Firebase oobCode or is a direct frontend verify link, use it directly
+      if (callbackUrl && (callbackUrl.includes('oobCode=') || callbackUrl.includes('mode=verifyEmail'))) {
+        verificationUrl = callbackUrl;
+        console.log('Using Firebase/direct verification link for resend');
+      } else {
+        // Fallback: Generate our own token
+        token = await issuingTokens.issue({ email, userId, purpose: EMAIL_VERIFICATION, expiresAt });
+
+        verificationUrl = callbackUrl 
+          ? `${callbackUrl}?token=${token}`
+          : `${FRONTEND_URL}/verify?token=${token}`;
+      }
+    }
 
-      verificationTokens.set(token, {
+    if (mode !== 'link') {
+      code = await verificationCodes.issue({
         email,
-        userId: userId || null,
-        expiresAt,
-        verified: false
+        userId,
+        purpose: EMAIL_VERIFICATION,
+        expiresAt: sendAt + CODE_TTL_MINUTES * 60 * 1000,
+        token
       });
-
-      verificationUrl = callbackUrl 
-        ? `${callbackUrl}?token=${token}`
-        : `${FRONTEND_URL}/verify?token=${token}`;
     }
 
     const msg = {
       to: email,
       from: SENDER_EMAIL,
-      subject: '✉️ Verify your email address',
-      text: `Hello!\n\nClick the link below to verify your email:\n${verificationUrl}\n\nThis link expires in 24 hours.\n\nIf you did not request this verification, please ignore this email.`,
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        </head>
-        <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #0f0f0f;">
-          <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #0f0f0f; padding: 40px 20px;">
-            <tr>
-              <td align="center">
-                <table width="100%" max-width="520px" cellpadding="0" cellspacing="0" style="background: linear-gradient(145deg, #1a1a2e 0%, #16213e 100%); border-radius: 16px; overflow: hidden; box-shadow: 0 20px 60px rgba(0,0,0,0.5);">
-                  <tr>
-                    <td style="padding: 40px 40px 30px; text-align: center; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);">
-                      <div style="width: 70px; height: 70px; background: rgba(255,255,255,0.2); border-radius: 50%; margin: 0 auto 20px; display: flex; align-items: center; justify-content: center;">
-                        <span style="font-size: 32px;">✉️</span>
-                      </div>
-                      <h1 style="margin: 0; color: #ffffff; font-size: 26px; font-weight: 600; letter-spacing: -0.5px;">
-                        Verify Your Email
-                      </h1>
-                    </td>
-                  </tr>
-                  <tr>
-                    <td style="padding: 40px;">
-                      <p style="margin: 0 0 25px; color: #a0a0a0; font-size: 16px; line-height: 1.6;">
-                        Hello! 👋
-                      </p>
-                      <p style="margin: 0 0 30px; color: #e0e0e0; font-size: 16px; line-height: 1.7;">
-                        Click the button below to confirm your email address and activate your account.
-                      </p>
-                      <table width="100%" cellpadding="0" cellspacing="0">
-                        <tr>
-                          <td align="center" style="padding: 10px 0 35px;">
-                            <a href="${verificationUrl}" style="display: inline-block; padding: 16px 40px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #ffffff; text-decoration: none; font-size: 16px; font-weight: 600; border-radius: 50px; box-shadow: 0 8px 25px rgba(102, 126, 234, 0.4);">
-                              Verify Email →
-                            </a>
-                          </td>
-                        </tr>
-                      </table>
-                      <p style="margin: 0 0 20px; color: #707070; font-size: 14px; line-height: 1.6;">
-                        Or copy and paste this link into your browser:
-                      </p>
-                      <p style="margin: 0 0 30px; padding: 15px; background: rgba(255,255,255,0.05); border-radius: 8px; word-break: break-all;">
-                        <a href="${verificationUrl}" style="color: #667eea; text-decoration: none; font-size: 13px;">${verificationUrl}</a>
-                      </p>
-                      <table width="100%" cellpadding="0" cellspacing="0" style="background: rgba(255, 193, 7, 0.1); border-left: 3px solid #ffc107; border-radius: 0 8px 8px 0;">
-                        <tr>
-                          <td style="padding: 15px 20px;">
-                            <p style="margin: 0; color: #ffc107; font-size: 13px;">
-                              ⏰ This link expires in <strong>24 hours</strong>
-                            </p>
-                          </td>
-                        </tr>
-                      </table>
-                    </td>
-                  </tr>
-                  <tr>
-                    <td style="padding: 25px 40px; background: rgba(0,0,0,0.2); border-top: 1px solid rgba(255,255,255,0.05);">
-                      <p style="margin: 0; color: #505050; font-size: 12px; text-align: center; line-height: 1.6;">
-                        If you did not request this verification, please ignore this email.<br>
-                        Your account will remain secure.
-                      </p>
-                    </td>
-                  </tr>
-                </table>
-              </td>
-            </tr>
-          </table>
-        </body>
-        </html>
-      `
+      ...templates.render('verification', {
+        verificationUrl,
+        expiresAt,
+        expiresInHours: TOKEN_TTL_HOURS[EMAIL_VERIFICATION],
+        code,
+        codeExpiresInMinutes: CODE_TTL_MINUTES
+      }, { locale: getLocale(req) })
     };
 
-    await sgMail.send(msg);
+    const messageId = await mailQueue.enqueue(msg, {
+      template: 'verification',
+      category: 'transactional',
+      related: { userId },
+      issued: issuedWith(req, { tokens: [token], codes: [{ email, purpose: EMAIL_VERIFICATION, code }] })
+    }, { sendAt });
 
-    res.json({ 
+    res.status(202).json({ 
       success: true, 
-      message: 'Verification email resent successfully'
+      message: 'Verification email queued for resend',
+      messageId,
+      scheduledFor: scheduledFor(sendAt),
+      supersededTokens
     });
 
   } catch (error) {
@@ -309,984 +661,1623 @@ app.post('/api/resend-verification', async (req, res) => {
 /**
  * GET /api/verify/:token
  * Verifies the token and confirms the email
+ * Scope: tokens:verify
  */
-app.get('/api/verify/:token', (req, res) => {
-  const { token } = req.params;
+app.get('/api/verify/:token', requireScope('tokens:verify'), async (req, res) => {
+  try {
+    const { token } = req.params;
 
-  const tokenData = verificationTokens.get(token);
+    const result = await tokensFor(token).verify(token, { purpose: EMAIL_VERIFICATION });
 
-  if (!tokenData) {
-    return res.status(404).json({ 
-      success: false, 
-      error: 'Invalid or not found token' 
-    });
-  }
+    if (result.error) {
+      return res.status(result.status).json({ 
+        success: false, 
+        error: result.error 
+      });
+    }
 
-  if (Date.now() > tokenData.expiresAt) {
-    verificationTokens.delete(token);
-    return res.status(410).json({ 
-      success: false, 
-      error: 'Token has expired' 
+    // A code sent in the same email can't be used any more
+    await verificationCodes.consume(result.tokenData.email, EMAIL_VERIFICATION);
+
+    res.json({ 
+      success: true, 
+      message: 'Email verified successfully!',
+      email: result.tokenData.email,
+      userId: result.tokenData.userId
     });
-  }
 
-  if (tokenData.verified) {
-    return res.status(400).json({ 
+  } catch (error) {
+    console.error('Error verifying token:', error);
+    res.status(500).json({ 
       success: false, 
-      error: 'Email has already been verified' 
+      error: 'Failed to verify token',
+      details: error.message
     });
   }
-
-  // Mark as verified
-  tokenData.verified = true;
-  verificationTokens.set(token, tokenData);
-
-  res.json({ 
-    success: true, 
-    message: 'Email verified successfully!',
-    email: tokenData.email,
-    userId: tokenData.userId
-  });
 });
 
 /**
  * POST /api/verify
  * Verifies the token via POST (alternative)
+ * Scope: tokens:verify
  * Body: { token: string }
  */
-app.post('/api/verify', (req, res) => {
-  const { token } = req.body;
+app.post('/api/verify', requireScope('tokens:verify'), validate(schemas.verifyToken), async (req, res) => {
+  try {
+    const { token } = req.body;
 
-  if (!token) {
-    return res.status(400).json({ 
-      success: false, 
-      error: 'Token is required' 
-    });
-  }
+    const result = await tokensFor(token).verify(token, { purpose: EMAIL_VERIFICATION });
 
-  const tokenData = verificationTokens.get(token);
+    if (result.error) {
+      return res.status(result.status).json({ 
+        success: false, 
+        error: result.error 
+      });
+    }
 
-  if (!tokenData) {
-    return res.status(404).json({ 
-      success: false, 
-      error: 'Invalid or not found token' 
-    });
-  }
+    // A code sent in the same email can't be used any more
+    await verificationCodes.consume(result.tokenData.email, EMAIL_VERIFICATION);
 
-  if (Date.now() > tokenData.expiresAt) {
-    verificationTokens.delete(token);
-    return res.status(410).json({ 
-      success: false, 
-      error: 'Token has expired' 
+    res.json({ 
+      success: true, 
+      message: 'Email verified successfully!',
+      email: result.tokenData.email,
+      userId: result.tokenData.userId
     });
-  }
 
-  if (tokenData.verified) {
-    return res.status(400).json({ 
+  } catch (error) {
+    console.error('Error verifying token:', error);
+    res.status(500).json({ 
       success: false, 
-      error: 'Email has already been verified' 
+      error: 'Failed to verify token',
+      details: error.message
     });
   }
-
-  // Mark as verified
-  tokenData.verified = true;
-  verificationTokens.set(token, tokenData);
-
-  res.json({ 
-    success: true, 
-    message: 'Email verified successfully!',
-    email: tokenData.email,
-    userId: tokenData.userId
-  });
 });
 
 /**
- * GET /api/check/:token
- * Checks the status of a token without marking it as used
+ * POST /api/verify-code
+ * Verifies the email with the numeric code sent in `mode: "code"` or "both"
+ * Scope: tokens:verify
+ * Body: { email: string, code: string }
  */
-app.get('/api/check/:token', (req, res) => {
-  const { token } = req.params;
+app.post('/api/verify-code', requireScope('tokens:verify'), validate(schemas.verifyCode), async (req, res) => {
+  try {
+    const { email, code } = req.body;
+
+    const result = await verificationCodes.verify({ email, code, purpose: EMAIL_VERIFICATION });
+
+    if (result.error) {
+      if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+      return res.status(result.status).json({ 
+        success: false, 
+        error: result.error,
+        ...(result.attemptsRemaining !== undefined && { attemptsRemaining: result.attemptsRemaining })
+      });
+    }
+
+    // The link sent alongside the code can't be used any more
+    const { token } = result.tokenData;
+    if (token) await tokensFor(token).verify(token, { purpose: EMAIL_VERIFICATION });
 
-  const tokenData = verificationTokens.get(token);
+    res.json({ 
+      success: true, 
+      message: 'Email verified successfully!',
+      email: result.tokenData.email,
+      userId: result.tokenData.userId
+    });
 
-  if (!tokenData) {
-    return res.status(404).json({ 
+  } catch (error) {
+    console.error('Error verifying code:', error);
+    res.status(500).json({ 
       success: false, 
-      error: 'Token not found' 
+      error: 'Failed to verify code',
+      details: error.message
     });
   }
-
-  const isExpired = Date.now() > tokenData.expiresAt;
-
-  res.json({ 
-    success: true,
-    email: tokenData.email,
-    verified: tokenData.verified,
-    expired: isExpired,
-    expiresAt: new Date(tokenData.expiresAt).toISOString()
-  });
 });
 
 /**
- * POST /api/send-transfer-notification
- * Sends a tracker transfer notification email to the new owner
- * Body: { 
- *   email: string,
- *   transferId: string,
- *   trackerDetails: { imei: string, vehicleName: string, registrationNumber?: string },
- *   fromUserName?: string,
- *   subscriptionEndDate?: string
- * }
+ * GET /api/check/:token
+ * Checks the status of a verification token without marking it as used
+ * Scope: tokens:verify
  */
-app.post('/api/send-transfer-notification', async (req, res) => {
+app.get('/api/check/:token', requireScope('tokens:verify'), async (req, res) => {
   try {
-    const { email, transferId, trackerDetails, fromUserName } = req.body;
+    const { token } = req.params;
 
-    if (!email || !transferId || !trackerDetails) {
-      return res.status(400).json({ 
+    const result = await tokensFor(token).check(token, { purpose: EMAIL_VERIFICATION });
+
+    if (result.error) {
+      return res.status(result.status).json({ 
         success: false, 
-        error: 'Email, transferId, and trackerDetails are required' 
+        error: result.error 
       });
     }
 
-    // Link goes to registration page with IMEI and email pre-filled, plus transfer ID
-    const acceptUrl = `${FRONTEND_URL}/register?imei=${encodeURIComponent(trackerDetails.imei)}&transferId=${encodeURIComponent(transferId)}&email=${encodeURIComponent(email)}`;
-
-    // Email template for tracker transfer
-    const msg = {
-      to: email,
-      from: SENDER_EMAIL,
-      subject: `🚗 Vehicle Tracker Transfer Request - ${trackerDetails.vehicleName || 'GPS Tracker'}`,
-      text: `Hello!\n\nYou have received a vehicle tracker transfer request.\n\nVehicle: ${trackerDetails.vehicleName}\nRegistration: ${trackerDetails.registrationNumber || 'N/A'}\nTracker IMEI: ${trackerDetails.imei}\n${fromUserName ? `From: ${fromUserName}\n` : ''}\nTo get started, register your account and choose a subscription plan.\n\nClick here to get started: ${acceptUrl}\n\nIf you did not expect this transfer, please ignore this email.`,
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        </head>
-        <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #0f172a;">
-          <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #0f172a; padding: 40px 20px;">
-            <tr>
-              <td align="center">
-                <table width="100%" max-width="560px" cellpadding="0" cellspacing="0" style="background: linear-gradient(145deg, #1e3a5f 0%, #1e40af 100%); border-radius: 20px; overflow: hidden; box-shadow: 0 25px 80px rgba(0,0,0,0.5); border: 1px solid rgba(59, 130, 246, 0.3);">
-                  
-                  <!-- Header -->
-                  <tr>
-                    <td style="padding: 45px 40px 35px; text-align: center; background: linear-gradient(135deg, #1e40af 0%, #3b82f6 100%);">
-                      <div style="width: 80px; height: 80px; background: rgba(255,255,255,0.15); border-radius: 50%; margin: 0 auto 20px; line-height: 80px;">
-                        <span style="font-size: 40px;">🚗</span>
-                      </div>
-                      <h1 style="margin: 0; color: #ffffff; font-size: 28px; font-weight: 700; letter-spacing: -0.5px;">
-                        Vehicle Tracker Transfer
-                      </h1>
-                      <p style="margin: 10px 0 0; color: rgba(255,255,255,0.8); font-size: 16px;">
-                        You've received a transfer request
-                      </p>
-                    </td>
-                  </tr>
-                  
-                  <!-- Content -->
-                  <tr>
-                    <td style="padding: 40px;">
-                      ${fromUserName ? `
-                      <p style="margin: 0 0 25px; color: #94a3b8; font-size: 16px; line-height: 1.6;">
-                        <strong style="color: #e2e8f0;">${fromUserName}</strong> wants to transfer a vehicle tracker to you.
-                      </p>
-                      ` : `
-                      <p style="margin: 0 0 25px; color: #94a3b8; font-size: 16px; line-height: 1.6;">
-                        Someone wants to transfer a vehicle tracker to you.
-                      </p>
-                      `}
-                      
-                      <!-- Vehicle Details Card -->
-                      <table width="100%" cellpadding="0" cellspacing="0" style="background: rgba(15, 23, 42, 0.6); border-radius: 16px; border: 1px solid rgba(59, 130, 246, 0.2); margin-bottom: 30px;">
-                        <tr>
-                          <td style="padding: 25px;">
-                            <table width="100%" cellpadding="0" cellspacing="0">
-                              <tr>
-                                <td style="padding-bottom: 15px; border-bottom: 1px solid rgba(255,255,255,0.1);">
-                                  <span style="color: #64748b; font-size: 12px; text-transform: uppercase; letter-spacing: 1px;">Vehicle Name</span>
-                                  <p style="margin: 5px 0 0; color: #ffffff; font-size: 20px; font-weight: 600;">${trackerDetails.vehicleName || 'GPS Tracker'}</p>
-                                </td>
-                              </tr>
-                              ${trackerDetails.registrationNumber ? `
-                              <tr>
-                                <td style="padding: 15px 0; border-bottom: 1px solid rgba(255,255,255,0.1);">
-                                  <span style="color: #64748b; font-size: 12px; text-transform: uppercase; letter-spacing: 1px;">Registration</span>
-                                  <p style="margin: 5px 0 0; color: #f1f5f9; font-size: 18px; font-weight: 500;">${trackerDetails.registrationNumber}</p>
-                                </td>
-                              </tr>
-                              ` : ''}
-                              <tr>
-                                <td style="padding-top: 15px;">
-                                  <span style="color: #64748b; font-size: 12px; text-transform: uppercase; letter-spacing: 1px;">Tracker IMEI</span>
-                                  <p style="margin: 5px 0 0; color: #94a3b8; font-size: 14px; font-family: monospace;">${trackerDetails.imei}</p>
-                                </td>
-                              </tr>
-                            </table>
-                          </td>
-                        </tr>
-                      </table>
-                      
-                      <!-- Subscription Info -->
-                      <table width="100%" cellpadding="0" cellspacing="0" style="background: linear-gradient(135deg, rgba(245, 158, 11, 0.15) 0%, rgba(234, 179, 8, 0.1) 100%); border-left: 4px solid #f59e0b; border-radius: 0 12px 12px 0; margin-bottom: 30px;">
-                        <tr>
-                          <td style="padding: 20px;">
-                            <p style="margin: 0 0 8px; color: #fbbf24; font-size: 14px; font-weight: 600;">
-                              ℹ️ Subscription Information
-                            </p>
-                            <p style="margin: 0; color: #fcd34d; font-size: 14px; line-height: 1.6;">
-                              To start using this tracker, you'll need to set up your own subscription.<br>
-                              Simply register and choose your preferred plan.
-                            </p>
-                          </td>
-                        </tr>
-                      </table>
-                      
-                      <!-- CTA Button -->
-                      <table width="100%" cellpadding="0" cellspacing="0">
-                        <tr>
-                          <td align="center" style="padding: 10px 0 35px;">
-                            <a href="${acceptUrl}" style="display: inline-block; padding: 18px 50px; background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: #ffffff; text-decoration: none; font-size: 17px; font-weight: 700; border-radius: 50px; box-shadow: 0 10px 30px rgba(16, 185, 129, 0.4);">
-                              Get Started →
-                            </a>
-                          </td>
-                        </tr>
-                      </table>
-                      
-                      <p style="margin: 0 0 20px; color: #64748b; font-size: 14px; line-height: 1.6;">
-                        Or copy and paste this link into your browser:
-                      </p>
-                      <p style="margin: 0 0 25px; padding: 15px; background: rgba(0,0,0,0.3); border-radius: 10px; word-break: break-all;">
-                        <a href="${acceptUrl}" style="color: #60a5fa; text-decoration: none; font-size: 13px;">${acceptUrl}</a>
-                      </p>
-                      
-                      <!-- What Happens Next -->
-                      <table width="100%" cellpadding="0" cellspacing="0" style="background: rgba(59, 130, 246, 0.1); border-radius: 12px; border: 1px solid rgba(59, 130, 246, 0.2);">
-                        <tr>
-                          <td style="padding: 20px;">
-                            <p style="margin: 0 0 15px; color: #60a5fa; font-size: 14px; font-weight: 600;">
-                              📋 How to get started
-                            </p>
-                            <ol style="margin: 0; padding-left: 20px; color: #94a3b8; font-size: 14px; line-height: 1.8;">
-                              <li>Click the button above to register your account</li>
-                              <li>The tracker number will be pre-filled for you</li>
-                              <li>Choose your subscription plan (monthly £7.99/mo or yearly £79.99/yr)</li>
-                              <li>Complete payment and start tracking</li>
-                            </ol>
-                          </td>
-                        </tr>
-                      </table>
-                    </td>
-                  </tr>
-                  
-                  <!-- Footer -->
-                  <tr>
-                    <td style="padding: 25px 40px; background: rgba(0,0,0,0.3); border-top: 1px solid rgba(255,255,255,0.05);">
-                      <p style="margin: 0; color: #475569; font-size: 12px; text-align: center; line-height: 1.6;">
-                        If you did not expect this transfer request, please ignore this email.<br>
-                        No action will be taken and the request will expire in 7 days.
-                      </p>
-                      <p style="margin: 15px 0 0; color: #334155; font-size: 11px; text-align: center;">
-                        © ${new Date().getFullYear()} DriveCore - Vehicle Tracking Solutions
-                      </p>
-                    </td>
-                  </tr>
-                  
-                </table>
-              </td>
-            </tr>
-          </table>
-        </body>
-        </html>
-      `
-    };
+    const { tokenData } = result;
 
-    await sgMail.send(msg);
+    const isExpired = Date.now() > tokenData.expiresAt;
 
     res.json({ 
-      success: true, 
-      message: 'Transfer notification email sent successfully'
+      success: true,
+      email: tokenData.email,
+      verified: tokenData.verified,
+      expired: isExpired,
+      expiresAt: new Date(tokenData.expiresAt).toISOString()
     });
 
   } catch (error) {
-    console.error('Error sending transfer email:', error);
+    console.error('Error checking token:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to send transfer notification email',
+      error: 'Failed to check token',
       details: error.message
     });
   }
 });
 
 /**
- * POST /api/send-welcome-purchase
- * Sends a welcome email after successful purchase with verification link
- * Body: { 
- *   email: string,
- *   userId?: string,
- *   firstName: string,
- *   planName: string (e.g., "Monthly" or "Yearly"),
- *   planPrice: string (e.g., "£7.99/month"),
- *   vehicleName?: string,
- *   callbackUrl?: string
- * }
+ * POST /api/send-password-reset
+ * Emails a single-use password reset link. Links sent earlier stop working.
+ * Pass userId when the address belongs to an account; without it nothing is
+ * sent, but the response is the same so callers can't learn who has an account.
+ * Scope: send:password-reset
+ * Headers: Idempotency-Key?
+ * Body: { email: string, userId?: string, firstName?: string, callbackUrl?: string, locale?: string }
  */
-app.post('/api/send-welcome-purchase', async (req, res) => {
+app.post('/api/send-password-reset', requireScope('send:password-reset'), validate(schemas.sendPasswordReset), idempotent(), limitSends({ cooldown: PASSWORD_RESET }), async (req, res) => {
   try {
-    const { email, userId, firstName, planName, planPrice, vehicleName, callbackUrl } = req.body;
-
-    if (!email || !firstName) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Email and firstName are required' 
+    const { email, userId, firstName, callbackUrl } = req.body;
+
+    if (userId) {
+      const expiresAt = Date.now() + TOKEN_TTL_HOURS[PASSWORD_RESET] * 60 * 60 * 1000;
+
+      // Only the link in this email should work from now on
+      const supersededTokens = await passwordResetTokens.revokePending({ email, userId, purpose: PASSWORD_RESET });
+      if (supersededTokens) console.log(`🔁 Invalidated ${supersededTokens} earlier password reset link(s) for ${email}`);
+
+      const token = await passwordResetTokens.issue({ email, userId, purpose: PASSWORD_RESET, expiresAt });
+      const resetUrl = linkWithToken(callbackUrl || `${FRONTEND_URL}/reset-password`, token);
+
+      const msg = {
+        to: email,
+        from: SENDER_EMAIL,
+        ...templates.render('password-reset', {
+          firstName,
+          resetUrl,
+          expiresAt,
+          expiresInMinutes: Math.round(TOKEN_TTL_HOURS[PASSWORD_RESET] * 60)
+        }, { locale: getLocale(req) })
+      };
+
+      await mailQueue.enqueue(msg, {
+        template: 'password-reset',
+        category: 'transactional',
+        related: { userId }
       });
-    }
 
-    // Determine verification URL
-    let verificationUrl;
-    
-    // If callbackUrl is a complete Firebase verification link (contains oobCode), use it directly
-    // Firebase links look like: https://xxx.firebaseapp.com/__/auth/action?mode=verifyEmail&oobCode=xxx
-    if (callbackUrl && (callbackUrl.includes('oobCode=') || callbackUrl.includes('firebaseapp.com') || callbackUrl.includes('mode=verifyEmail'))) {
-      // Use Firebase verification link directly - no token generation needed
-      verificationUrl = callbackUrl;
-      console.log('Using Firebase verification link directly');
+      console.log(`🔑 Password reset email queued for ${email}`);
     } else {
-      // Fallback: Generate our own token (legacy behavior)
-      const token = uuidv4();
-      const expiresAt = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
-
-      // Store token
-      verificationTokens.set(token, {
-        email,
-        userId: userId || null,
-        expiresAt,
-        verified: false
-      });
-
-      verificationUrl = callbackUrl 
-        ? `${callbackUrl}?token=${token}`
-        : `${FRONTEND_URL}/verify?token=${token}`;
-      console.log('Using custom token verification');
+      console.log(`🔑 Password reset requested for ${email} without an account, nothing sent`);
     }
 
-    const displayPlanName = planName || 'GPS Tracker';
-    const displayPrice = planPrice || '';
-    const displayVehicle = vehicleName || 'your vehicle';
-
-    // Email template - Welcome after purchase
-    const msg = {
-      to: email,
-      from: SENDER_EMAIL,
-      subject: '🎉 Welcome to DriveCore - Payment Successful!',
-      text: `Hello ${firstName}!\n\nThank you for your purchase! Your payment was successful.\n\nPlan: ${displayPlanName}\n${displayPrice ? `Price: ${displayPrice}\n` : ''}\n\nBefore you can start tracking ${displayVehicle}, please verify your email address by clicking the link below:\n\n${verificationUrl}\n\nThis link expires in 24 hours.\n\nIf you have any questions, feel free to contact our support team.\n\nWelcome aboard!\nThe DriveCore Team`,
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        </head>
-        <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #0f172a;">
-          <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #0f172a; padding: 40px 20px;">
-            <tr>
-              <td align="center">
-                <table width="100%" max-width="560px" cellpadding="0" cellspacing="0" style="background: linear-gradient(145deg, #064e3b 0%, #065f46 100%); border-radius: 20px; overflow: hidden; box-shadow: 0 25px 80px rgba(0,0,0,0.5); border: 1px solid rgba(16, 185, 129, 0.3);">
-                  
-                  <!-- Header -->
-                  <tr>
-                    <td style="padding: 45px 40px 35px; text-align: center; background: linear-gradient(135deg, #059669 0%, #10b981 100%);">
-                      <div style="width: 80px; height: 80px; background: rgba(255,255,255,0.2); border-radius: 50%; margin: 0 auto 20px; line-height: 80px;">
-                        <span style="font-size: 40px;">🎉</span>
-                      </div>
-                      <h1 style="margin: 0; color: #ffffff; font-size: 28px; font-weight: 700; letter-spacing: -0.5px;">
-                        Payment Successful!
-                      </h1>
-                      <p style="margin: 10px 0 0; color: rgba(255,255,255,0.9); font-size: 16px;">
-                        Welcome to DriveCore, ${firstName}!
-                      </p>
-                    </td>
-                  </tr>
-                  
-                  <!-- Content -->
-                  <tr>
-                    <td style="padding: 40px;">
-                      <p style="margin: 0 0 25px; color: #d1fae5; font-size: 18px; line-height: 1.6;">
-                        Thank you for choosing DriveCore! 🚗
-                      </p>
-                      <p style="margin: 0 0 30px; color: #a7f3d0; font-size: 16px; line-height: 1.7;">
-                        Your payment has been processed successfully and your account is almost ready. You're just one step away from tracking ${displayVehicle}!
-                      </p>
-                      
-                      <!-- Plan Details Card -->
-                      <table width="100%" cellpadding="0" cellspacing="0" style="background: rgba(6, 78, 59, 0.6); border-radius: 16px; border: 1px solid rgba(16, 185, 129, 0.3); margin-bottom: 30px;">
-                        <tr>
-                          <td style="padding: 25px;">
-                            <table width="100%" cellpadding="0" cellspacing="0">
-                              <tr>
-                                <td style="padding-bottom: 15px; border-bottom: 1px solid rgba(255,255,255,0.1);">
-                                  <span style="color: #6ee7b7; font-size: 12px; text-transform: uppercase; letter-spacing: 1px;">Your Plan</span>
-                                  <p style="margin: 5px 0 0; color: #ffffff; font-size: 22px; font-weight: 700;">${displayPlanName}</p>
-                                </td>
-                              </tr>
-                              ${displayPrice ? `
-                              <tr>
-                                <td style="padding-top: 15px;">
-                                  <span style="color: #6ee7b7; font-size: 12px; text-transform: uppercase; letter-spacing: 1px;">Price</span>
-                                  <p style="margin: 5px 0 0; color: #34d399; font-size: 20px; font-weight: 600;">${displayPrice}</p>
-                                </td>
-                              </tr>
-                              ` : ''}
-                            </table>
-                          </td>
-                        </tr>
-                      </table>
-                      
-                      <!-- Verification Notice -->
-                      <table width="100%" cellpadding="0" cellspacing="0" style="background: linear-gradient(135deg, rgba(59, 130, 246, 0.2) 0%, rgba(37, 99, 235, 0.15) 100%); border-left: 4px solid #3b82f6; border-radius: 0 12px 12px 0; margin-bottom: 30px;">
-                        <tr>
-                          <td style="padding: 20px;">
-                            <p style="margin: 0 0 8px; color: #60a5fa; font-size: 14px; font-weight: 600;">
-                              📧 One more step!
-                            </p>
-                            <p style="margin: 0; color: #93c5fd; font-size: 14px; line-height: 1.6;">
-                              Please verify your email address to activate your account and start tracking.
-                            </p>
-                          </td>
-                        </tr>
-                      </table>
-                      
-                      <!-- CTA Button - Simplified for email client compatibility -->
-                      <table width="100%" cellpadding="0" cellspacing="0">
-                        <tr>
-                          <td align="center" style="padding: 10px 0 35px;">
-                            <!--[if mso]>
-                            <v:roundrect xmlns:v="urn:schemas-microsoft-com:vml" xmlns:w="urn:schemas-microsoft-com:office:word" href="${verificationUrl}" style="height:50px;v-text-anchor:middle;width:250px;" arcsize="50%" stroke="f" fillcolor="#3b82f6">
-                              <w:anchorlock/>
-                              <center style="color:#ffffff;font-family:sans-serif;font-size:17px;font-weight:bold;">Verify My Email →</center>
-                            </v:roundrect>
-                            <![endif]-->
-                            <!--[if !mso]><!-->
-                            <a href="${verificationUrl}" target="_blank" style="display: inline-block; padding: 18px 50px; background-color: #3b82f6; color: #ffffff; text-decoration: none; font-size: 17px; font-weight: 700; border-radius: 50px; mso-hide: all;">
-                              Verify My Email &rarr;
-                            </a>
-                            <!--<![endif]-->
-                          </td>
-                        </tr>
-                      </table>
-                      
-                      <p style="margin: 0 0 20px; color: #6ee7b7; font-size: 14px; line-height: 1.6;">
-                        Or copy and paste this link into your browser:
-                      </p>
-                      <p style="margin: 0 0 25px; padding: 15px; background: rgba(0,0,0,0.3); border-radius: 10px; word-break: break-all;">
-                        <a href="${verificationUrl}" style="color: #60a5fa; text-decoration: none; font-size: 13px;">${verificationUrl}</a>
-                      </p>
-                      
-                      <!-- What's Next -->
-                      <table width="100%" cellpadding="0" cellspacing="0" style="background: rgba(16, 185, 129, 0.1); border-radius: 12px; border: 1px solid rgba(16, 185, 129, 0.2);">
-                        <tr>
-                          <td style="padding: 20px;">
-                            <p style="margin: 0 0 15px; color: #34d399; font-size: 14px; font-weight: 600;">
-                              🚀 What's next?
-                            </p>
-                            <ol style="margin: 0; padding-left: 20px; color: #a7f3d0; font-size: 14px; line-height: 1.8;">
-                              <li>Click the button above to verify your email</li>
-                              <li>Log in to your DriveCore account</li>
-                              <li>Your GPS tracker is ready to use!</li>
-                              <li>Start tracking your vehicle in real-time</li>
-                            </ol>
-                          </td>
-                        </tr>
-                      </table>
-                      
-                      <!-- Warning -->
-                      <table width="100%" cellpadding="0" cellspacing="0" style="margin-top: 25px; background: rgba(245, 158, 11, 0.1); border-left: 3px solid #f59e0b; border-radius: 0 8px 8px 0;">
-                        <tr>
-                          <td style="padding: 15px 20px;">
-                            <p style="margin: 0; color: #fbbf24; font-size: 13px;">
-                              ⏰ This verification link expires in <strong>24 hours</strong>
-                            </p>
-                          </td>
-                        </tr>
-                      </table>
-                    </td>
-                  </tr>
-                  
-                  <!-- Footer -->
-                  <tr>
-                    <td style="padding: 25px 40px; background: rgba(0,0,0,0.3); border-top: 1px solid rgba(255,255,255,0.05);">
-                      <p style="margin: 0 0 10px; color: #6ee7b7; font-size: 14px; text-align: center;">
-                        Questions? Contact us at support@drivecore.co.uk
-                      </p>
-                      <p style="margin: 0; color: #065f46; font-size: 11px; text-align: center;">
-                        © ${new Date().getFullYear()} DriveCore UK - Vehicle Tracking Solutions
-                      </p>
-                    </td>
-                  </tr>
-                  
-                </table>
-              </td>
-            </tr>
-          </table>
-        </body>
-        </html>
-      `
-    };
-
-    await sgMail.send(msg);
-
-    res.json({ 
-      success: true, 
-      message: 'Welcome email sent successfully',
-      token // Returns token for verification
+    // Same answer either way; no messageId, it would tell the two cases apart
+    res.status(202).json({
+      success: true,
+      message: 'If the address belongs to an account, a password reset email is on its way'
     });
 
   } catch (error) {
-    console.error('Error sending welcome email:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to send welcome email',
+    console.error('❌ Error sending password reset email:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send password reset email',
       details: error.message
     });
   }
 });
 
 /**
- * POST /api/send-device-added
- * Sends an email when an existing user adds a new device
- * Body: { 
- *   email: string,
- *   userId?: string,
- *   firstName: string,
- *   vehicleName: string,
- *   planName: string,
- *   planPrice?: string
- * }
+ * POST /api/password-reset/verify
+ * Uses a password reset token and returns whose password may be changed.
+ * The token can't be used again afterwards, so call this when the new password is submitted.
+ * Scope: tokens:verify
+ * Body: { token: string }
  */
-app.post('/api/send-device-added', async (req, res) => {
+app.post('/api/password-reset/verify', requireScope('tokens:verify'), validate(schemas.verifyToken), async (req, res) => {
   try {
-    const { email, userId, firstName, vehicleName, planName, planPrice } = req.body;
+    const { token } = req.body;
 
-    if (!email || !firstName || !vehicleName) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Email, firstName, and vehicleName are required' 
+    const result = await passwordResetTokens.verify(token, { purpose: PASSWORD_RESET });
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        error: PASSWORD_RESET_ERRORS[result.status] || result.error
       });
     }
 
-    const displayPrice = planPrice || '';
-
-    // Email template for device added
-    const msg = {
-      to: email,
-      from: {
-        email: SENDER_EMAIL,
-        name: 'DriveCore'
-      },
-      subject: `New Device Added - ${vehicleName}`,
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="UTF-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        </head>
-        <body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; background-color: #0f172a;">
-          <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #0f172a; padding: 40px 20px;">
-            <tr>
-              <td align="center">
-                <table width="100%" max-width="560px" cellpadding="0" cellspacing="0" style="background: linear-gradient(145deg, #064e3b 0%, #065f46 100%); border-radius: 20px; overflow: hidden; box-shadow: 0 25px 80px rgba(0,0,0,0.5); border: 1px solid rgba(16, 185, 129, 0.3);">
-                  
-                  <!-- Header -->
-                  <tr>
-                    <td style="padding: 45px 40px 35px; text-align: center; background: linear-gradient(135deg, #059669 0%, #10b981 100%);">
-                      <div style="width: 80px; height: 80px; background: rgba(255,255,255,0.2); border-radius: 50%; margin: 0 auto 20px; line-height: 80px;">
-                        <span style="font-size: 40px;">🚗</span>
-                      </div>
-                      <h1 style="margin: 0; color: #ffffff; font-size: 28px; font-weight: 700; letter-spacing: -0.5px;">
-                        New Device Added!
-                      </h1>
-                      <p style="margin: 10px 0 0; color: rgba(255,255,255,0.9); font-size: 16px;">
-                        Your subscription has been activated
-                      </p>
-                    </td>
-                  </tr>
-                  
-                  <!-- Content -->
-                  <tr>
-                    <td style="padding: 40px;">
-                      <p style="margin: 0 0 25px; color: #d1fae5; font-size: 18px; line-height: 1.6;">
-                        Hello ${firstName}! 👋
-                      </p>
-                      <p style="margin: 0 0 30px; color: #a7f3d0; font-size: 16px; line-height: 1.7;">
-                        Great news! We've successfully added <strong style="color: #ffffff;">${vehicleName}</strong> to your DriveCore account. Your new subscription is now active and ready to use.
-                      </p>
-                      
-                      <!-- Device Details Card -->
-                      <table width="100%" cellpadding="0" cellspacing="0" style="background: rgba(6, 78, 59, 0.6); border-radius: 16px; border: 1px solid rgba(16, 185, 129, 0.3); margin-bottom: 30px;">
-                        <tr>
-                          <td style="padding: 25px;">
-                            <table width="100%" cellpadding="0" cellspacing="0">
-                              <tr>
-                                <td style="padding-bottom: 15px; border-bottom: 1px solid rgba(255,255,255,0.1);">
-                                  <span style="color: #6ee7b7; font-size: 12px; text-transform: uppercase; letter-spacing: 1px;">Vehicle Name</span>
-                                  <p style="margin: 5px 0 0; color: #ffffff; font-size: 22px; font-weight: 700;">${vehicleName}</p>
-                                </td>
-                              </tr>
-                              <tr>
-                                <td style="padding: 15px 0; border-bottom: 1px solid rgba(255,255,255,0.1);">
-                                  <span style="color: #6ee7b7; font-size: 12px; text-transform: uppercase; letter-spacing: 1px;">Subscription Plan</span>
-                                  <p style="margin: 5px 0 0; color: #34d399; font-size: 18px; font-weight: 600;">${planName}</p>
-                                </td>
-                              </tr>
-                              ${displayPrice ? `
-                              <tr>
-                                <td style="padding-top: 15px;">
-                                  <span style="color: #6ee7b7; font-size: 12px; text-transform: uppercase; letter-spacing: 1px;">Price</span>
-                                  <p style="margin: 5px 0 0; color: #10b981; font-size: 18px; font-weight: 600;">${displayPrice}</p>
-                                </td>
-                              </tr>
-                              ` : ''}
-                            </table>
-                          </td>
-                        </tr>
-                      </table>
-                      
-                      <!-- Features -->
-                      <table width="100%" cellpadding="0" cellspacing="0" style="background: rgba(16, 185, 129, 0.1); border-radius: 12px; border: 1px solid rgba(16, 185, 129, 0.2); margin-bottom: 25px;">
-                        <tr>
-                          <td style="padding: 20px;">
-                            <p style="margin: 0 0 15px; color: #34d399; font-size: 14px; font-weight: 600;">
-                              ✨ Active Features:
-                            </p>
-                            <ul style="margin: 0; padding-left: 20px; color: #a7f3d0; font-size: 14px; line-height: 1.8;">
-                              <li>Real-time GPS tracking</li>
-                              <li>Location history & playback</li>
-                              <li>Speed alerts & geofencing</li>
-                              <li>24/7 monitoring</li>
-                              <li>Mobile & Web access</li>
-                            </ul>
-                          </td>
-                        </tr>
-                      </table>
-                      
-                      <p style="margin: 0 0 20px; color: #a7f3d0; font-size: 14px; line-height: 1.7; text-align: center;">
-                        🎯 Your device is ready to track!<br>
-                        Log in to your account to start monitoring ${vehicleName}.
-                      </p>
-                      
-                      <!-- CTA Button -->
-                      <table width="100%" cellpadding="0" cellspacing="0">
-                        <tr>
-                          <td align="center" style="padding: 10px 0;">
-                            <a href="${FRONTEND_URL}/gps/login" style="display: inline-block; padding: 16px 40px; background: linear-gradient(135deg, #3b82f6 0%, #2563eb 100%); color: #ffffff; text-decoration: none; font-size: 16px; font-weight: 700; border-radius: 50px; box-shadow: 0 8px 25px rgba(59, 130, 246, 0.4);">
-                              Open Dashboard →
-                            </a>
-                          </td>
-                        </tr>
-                      </table>
-                    </td>
-                  </tr>
-                  
-                  <!-- Footer -->
-                  <tr>
-                    <td style="padding: 25px 40px; background: rgba(0,0,0,0.3); border-top: 1px solid rgba(255,255,255,0.05);">
-                      <p style="margin: 0 0 10px; color: #6ee7b7; font-size: 14px; text-align: center;">
-                        Questions? Contact us at support@drivecore.co.uk
-                      </p>
-                      <p style="margin: 0; color: #065f46; font-size: 11px; text-align: center;">
-                        © ${new Date().getFullYear()} DriveCore UK - Vehicle Tracking Solutions
-                      </p>
-                    </td>
-                  </tr>
-                  
-                </table>
-              </td>
-            </tr>
-          </table>
-        </body>
-        </html>
-      `
-    };
-
-    await sgMail.send(msg);
+    console.log(`🔑 Password reset link used for ${result.tokenData.email}`);
 
-    console.log(`✅ Device added email sent to ${email} (Vehicle: ${vehicleName})`);
-
-    res.json({ 
-      success: true, 
-      message: 'Device added email sent successfully' 
+    res.json({
+      success: true,
+      message: 'Password reset token accepted',
+      email: result.tokenData.email,
+      userId: result.tokenData.userId
     });
 
   } catch (error) {
-    console.error('❌ Error sending device added email:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to send device added email',
+    console.error('❌ Error verifying password reset token:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify password reset token',
       details: error.message
     });
   }
 });
 
 /**
- * POST /api/send-invoice
- * Sends an invoice/receipt email to the user
- * Body: { 
- *   email: string,
- *   invoiceId: string,
- *   amount: string (e.g., "£7.99"),
- *   invoiceUrl: string,
- *   invoicePdf?: string
- * }
+ * POST /api/send-magic-link
+ * Emails a single-use sign-in link that only works on the device or session
+ * that asked for it. Links sent earlier stop working.
+ * Scope: send:magic-link
+ * Headers: Idempotency-Key?
+ * Body: { email: string, userId: string, deviceId: string (device or session id), firstName?: string, callbackUrl?: string, locale?: string }
  */
-app.post('/api/send-invoice', async (req, res) => {
+app.post('/api/send-magic-link', requireScope('send:magic-link'), validate(schemas.sendMagicLink), idempotent(), limitSends({ cooldown: MAGIC_LINK }), async (req, res) => {
   try {
-    const { email, invoiceId, amount, invoiceUrl, invoicePdf } = req.body;
+    const { email, userId, deviceId, firstName, callbackUrl } = req.body;
+    const expiresAt = Date.now() + TOKEN_TTL_HOURS[MAGIC_LINK] * 60 * 60 * 1000;
 
-    if (!email || !invoiceId || !amount || !invoiceUrl) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Email, invoiceId, amount, and invoiceUrl are required' 
-      });
-    }
+    // Only the link in this email should work from now on
+    const supersededTokens = await revokePendingTokens({ email, userId, purpose: MAGIC_LINK });
+    if (supersededTokens) console.log(`🔁 Invalidated ${supersededTokens} earlier sign-in link(s) for ${email}`);
+
+    const token = await issuingTokens.issue({ email, userId, purpose: MAGIC_LINK, expiresAt, binding: deviceId });
+    const signInUrl = linkWithToken(callbackUrl || `${FRONTEND_URL}/gps/login`, token);
 
-    // Email template for invoice
     const msg = {
       to: email,
-      from: {
-        email: SENDER_EMAIL,
-        name: 'DriveCore'
-      },
-      subject: `Your Payment Receipt - ${invoiceId}`,
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="UTF-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <style>
-            body {
-              font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
-              line-height: 1.6;
-              color: #333;
-              max-width: 600px;
-              margin: 0 auto;
-              padding: 20px;
-              background-color: #f5f5f5;
-            }
-            .container {
-              background-color: #ffffff;
-              border-radius: 8px;
-              padding: 40px;
-              box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-            }
-            .header {
-              text-align: center;
-              margin-bottom: 30px;
-            }
-            .logo {
-              font-size: 32px;
-              font-weight: bold;
-              color: #3b82f6;
-              margin-bottom: 10px;
-            }
-            .invoice-box {
-              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-              color: white;
-              padding: 30px;
-              border-radius: 8px;
-              text-align: center;
-              margin: 30px 0;
-            }
-            .amount {
-              font-size: 48px;
-              font-weight: bold;
-              margin: 20px 0;
-            }
-            .invoice-id {
-              opacity: 0.9;
-              font-size: 14px;
-            }
-            .button {
-              display: inline-block;
-              padding: 14px 32px;
-              background: white;
-              color: #667eea;
-              text-decoration: none;
-              border-radius: 6px;
-              font-weight: 600;
-              margin: 10px 5px;
-              box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-            }
-            .info-text {
-              color: #666;
-              font-size: 14px;
-              text-align: center;
-              margin: 30px 0;
-              line-height: 1.8;
-            }
-            .footer {
-              text-align: center;
-              margin-top: 40px;
-              padding-top: 30px;
-              border-top: 1px solid #e5e5e5;
-              color: #999;
-              font-size: 12px;
-            }
-            .features {
-              background-color: #f8fafc;
-              padding: 20px;
-              border-radius: 6px;
-              margin: 20px 0;
-            }
-            .feature-item {
-              padding: 8px 0;
-              font-size: 14px;
-            }
-            .checkmark {
-              color: #10b981;
-              margin-right: 8px;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="header">
-              <div class="logo">🚗 DriveCore</div>
-              <h2 style="color: #1e293b; margin: 0;">Payment Receipt</h2>
-            </div>
-
-            <div class="invoice-box">
-              <div style="font-size: 18px; opacity: 0.9;">Payment Successful!</div>
-              <div class="amount">${amount}</div>
-              <div class="invoice-id">Invoice: ${invoiceId}</div>
-            </div>
-
-            <div style="text-align: center; margin: 30px 0;">
-              <a href="${invoiceUrl}" class="button">
-                📄 View Invoice
-              </a>
-              ${invoicePdf ? `
-              <a href="${invoicePdf}" class="button">
-                📥 Download PDF
-              </a>
-              ` : ''}
-            </div>
-
-            <div class="features">
-              <div style="font-weight: 600; margin-bottom: 15px; color: #1e293b;">
-                Your Subscription Includes:
-              </div>
-              <div class="feature-item">
-                <span class="checkmark">✓</span> Real-time GPS tracking
-              </div>
-              <div class="feature-item">
-                <span class="checkmark">✓</span> Location history
-              </div>
-              <div class="feature-item">
-                <span class="checkmark">✓</span> Speed alerts & geofencing
-              </div>
-              <div class="feature-item">
-                <span class="checkmark">✓</span> Mobile & Web access
-              </div>
-              <div class="feature-item">
-                <span class="checkmark">✓</span> 24/7 monitoring
-              </div>
-            </div>
-
-            <div class="info-text">
-              📱 <strong>Next Step:</strong> If you haven't already, please verify your email address to access all features.
-              <br><br>
-              💳 Your subscription will automatically renew at the end of each billing period.
-              <br>
-              You can manage your subscription anytime from your account settings.
-            </div>
-
-            <div class="footer">
-              <p>
-                <strong>DriveCore</strong><br>
-                GPS Vehicle Tracking<br>
-                <a href="https://drivecore.co.uk" style="color: #3b82f6; text-decoration: none;">drivecore.co.uk</a>
-              </p>
-              <p style="margin-top: 20px;">
-                Questions? Contact us at <a href="mailto:support@drivecore.co.uk" style="color: #3b82f6;">support@drivecore.co.uk</a>
-              </p>
-              <p style="margin-top: 20px; color: #ccc;">
-                You're receiving this email because you made a purchase at DriveCore.
-              </p>
-            </div>
-          </div>
-        </body>
-        </html>
-      `
+      from: SENDER_EMAIL,
+      ...templates.render('magic-link', {
+        firstName,
+        signInUrl,
+        expiresAt,
+        expiresInMinutes: Math.round(TOKEN_TTL_HOURS[MAGIC_LINK] * 60)
+      }, { locale: getLocale(req) })
     };
 
-    await sgMail.send(msg);
+    const messageId = await mailQueue.enqueue(msg, {
+      template: 'magic-link',
+      category: 'transactional',
+      related: { userId }
+    });
 
-    console.log(`✅ Invoice email sent to ${email} (Invoice: ${invoiceId})`);
+    console.log(`🔐 Sign-in link queued for ${email}`);
 
-    res.json({ 
-      success: true, 
-      message: 'Invoice email sent successfully' 
+    res.status(202).json({
+      success: true,
+      message: 'Sign-in link queued',
+      messageId,
+      supersededTokens
     });
 
   } catch (error) {
-    console.error('❌ Error sending invoice email:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to send invoice email',
+    console.error('❌ Error sending sign-in link:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send sign-in link',
       details: error.message
     });
   }
 });
 
 /**
- * DELETE /api/token/:token
- * Removes a token (for cleanup or cancellation)
+ * POST /api/magic-link/consume
+ * Uses a sign-in link's token and returns who signed in. deviceId must be
+ * the one the link was requested with; a mismatch leaves the link unused.
+ * Scope: tokens:verify
+ * Body: { token: string, deviceId: string }
  */
-app.delete('/api/token/:token', (req, res) => {
-  const { token } = req.params;
-
-  if (verificationTokens.has(token)) {
-    verificationTokens.delete(token);
-    res.json({ success: true, message: 'Token removed' });
-  } else {
-    res.status(404).json({ success: false, error: 'Token not found' });
+app.post('/api/magic-link/consume', requireScope('tokens:verify'), validate(schemas.consumeMagicLink), async (req, res) => {
+  try {
+    const { token, deviceId } = req.body;
+
+    const result = await tokensFor(token).verify(token, { purpose: MAGIC_LINK, binding: deviceId });
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        error: MAGIC_LINK_ERRORS[result.status] || result.error
+      });
+    }
+
+    console.log(`🔐 Sign-in link used for ${result.tokenData.email}`);
+
+    res.json({
+      success: true,
+      message: 'Sign-in link accepted',
+      email: result.tokenData.email,
+      userId: result.tokenData.userId
+    });
+
+  } catch (error) {
+    console.error('❌ Error consuming sign-in link:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to consume sign-in link',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/send-transfer-notification
+ * Opens a tracker transfer and emails the new owner accept and decline links.
+ * Reminders follow while it stays pending; the current owner hears how it
+ * ended when fromEmail is given.
+ * Without an Idempotency-Key the transferId is the key: calling again with
+ * the same body replays the first response for IDEMPOTENCY_WINDOW_HOURS,
+ * and a different body gets 422. To re-send a pending transfer (with
+ * updated details), call with a new Idempotency-Key.
+ * Scope: send:transfer
+ * Headers: Idempotency-Key? (defaults to transferId)
+ * Body: { 
+ *   email: string,
+ *   transferId: string,
+ *   trackerDetails: { imei: string, vehicleName: string, registrationNumber?: string },
+ *   fromUserName?: string,
+ *   fromEmail?: string,
+ *   fromUserId?: string,
+ *   subscriptionEndDate?: string,
+ *   sendAt?: string (ISO date, send later),
+ *   locale?: string
+ * }
+ */
+app.post('/api/send-transfer-notification', requireScope('send:transfer'), validate(schemas.sendTransferNotification), idempotent({ naturalKey: (req) => req.body.transferId }), limitSends(), async (req, res) => {
+  try {
+    const { email, trackerDetails, fromUserName, fromEmail, fromUserId } = req.body;
+    // Ids may come as numbers; transfers and their links use the string form
+    const transferId = String(req.body.transferId);
+    const sendAt = sendTimeOf(req);
+
+    const opened = await transfers.open({
+      transferId,
+      email,
+      locale: getLocale(req),
+      fromUserName,
+      fromEmail,
+      fromUserId,
+      trackerDetails,
+      sendAt
+    });
+
+    if (opened.status) {
+      return res.status(opened.status).json({
+        success: false,
+        error: opened.error,
+        code: 'TRANSFER_CLOSED',
+        transfer: summarizeTransfer(opened.transfer)
+      });
+    }
+
+    const messageId = await sendTransferRequest(opened.transfer, {
+      sendAt,
+      // Only a transfer opened by this request is closed if the email is cancelled
+      issued: issuedWith(req, { transferId: opened.created ? transferId : null })
+    });
+
+    res.status(202).json({ 
+      success: true, 
+      message: 'Transfer notification email queued',
+      messageId,
+      scheduledFor: scheduledFor(sendAt),
+      transfer: summarizeTransfer(opened.transfer)
+    });
+
+  } catch (error) {
+    console.error('Error sending transfer email:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to send transfer notification email',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/transfers/:transferId
+ * Returns a transfer's state: pending, accepted, declined, cancelled or expired
+ * Scope: send:transfer
+ */
+app.get('/api/transfers/:transferId', requireScope('send:transfer'), async (req, res) => {
+  try {
+    const transfer = await transfers.get(req.params.transferId);
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transfer not found'
+      });
+    }
+
+    res.json({ success: true, transfer: summarizeTransfer(transfer) });
+
+  } catch (error) {
+    console.error('Error reading transfer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read transfer',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/transfers/respond
+ * Accepts or declines a transfer with the token from one of its links
+ * (transferToken on the registration page, token on the decline page)
+ * Scope: tokens:verify
+ * Body: { token: string }
+ */
+app.post('/api/transfers/respond', requireScope('tokens:verify'), validate(schemas.verifyToken), async (req, res) => {
+  try {
+    const result = await transfers.respond(req.body.token);
+
+    // Answering too late closes the transfer there and then
+    if (result.expiredNow) await sendTransferOutcome(result.transfer);
+
+    if (result.status) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error,
+        transfer: result.transfer ? summarizeTransfer(result.transfer) : undefined
+      });
+    }
+
+    const { transfer } = result;
+    await sendTransferOutcome(transfer);
+    console.log(`🔄 Transfer ${transfer.transferId} ${transfer.state} by ${transfer.email}`);
+
+    res.json({ success: true, transfer: summarizeTransfer(transfer) });
+
+  } catch (error) {
+    console.error('Error answering transfer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to answer transfer',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/send-welcome-purchase
+ * Sends a welcome email after successful purchase with verification link
+ * Scope: send:billing
+ * Headers: Idempotency-Key?
+ * Body: { 
+ *   email: string,
+ *   userId?: string,
+ *   firstName: string,
+ *   planName: string (e.g., "Monthly" or "Yearly"),
+ *   planPrice: string | number (e.g., "£7.99/month" or 7.99),
+ *   currency?: string (ISO code, used when planPrice is a number),
+ *   billingInterval?: "month" | "year",
+ *   vehicleName?: string,
+ *   callbackUrl?: string,
+ *   mode?: "link" | "code" | "both",
+ *   sendAt?: string (ISO date, send later),
+ *   locale?: string
+ * }
+ */
+app.post('/api/send-welcome-purchase', requireScope('send:billing'), validate(schemas.sendWelcomePurchase), idempotent(), limitSends(), async (req, res) => {
+  try {
+    const { email, userId, firstName, planName, planPrice, currency, billingInterval, vehicleName, callbackUrl } = req.body;
+
+    const mode = req.body.mode || 'link';
+
+    // Determine verification URL
+    let verificationUrl = null;
+    let token = null;
+    let code = null;
+    const sendAt = sendTimeOf(req);
+    const expiresAt = sendAt + TOKEN_TTL_HOURS[EMAIL_VERIFICATION] * 60 * 60 * 1000;
+
+    if (mode !== 'code') {
+      // If callbackUrl is a complete Firebase verification link (contains oobCode), use it directly
+      // Firebase links look like: https://xxx.firebaseapp.com/__/auth/action?mode=verifyEmail&oobCode=xxx
+      if (callbackUrl && (callbackUrl.includes('oobCode=') || callbackUrl.includes('firebaseapp.com') || callbackUrl.includes('mode=verifyEmail'))) {
+        // Use Firebase verification link directly - no token generation needed
+        verificationUrl = callbackUrl;
+        console.log('Using Firebase verification link directly');
+      } else {
+        // Fallback: Generate our own token (legacy behavior)
+        token = await issuingTokens.issue({ email, userId, purpose: EMAIL_VERIFICATION, expiresAt });
+
+        verificationUrl = callbackUrl 
+          ? `${callbackUrl}?token=${token}`
+          : `${FRONTEND_URL}/verify?token=${token}`;
+        console.log('Using custom token verification');
+      }
+    }
+
+    if (mode !== 'link') {
+      code = await verificationCodes.issue({
+        email,
+        userId,
+        purpose: EMAIL_VERIFICATION,
+        expiresAt: sendAt + CODE_TTL_MINUTES * 60 * 1000,
+        token
+      });
+    }
+
+    // Email template - Welcome after purchase
+    const unsubscribe = unsubscribeLinks.forRecipient(email);
+    const msg = {
+      to: email,
+      from: SENDER_EMAIL,
+      headers: unsubscribe.headers,
+      ...templates.render('welcome-purchase', {
+        firstName,
+        planName,
+        planPrice,
+        currency,
+        billingInterval,
+        vehicleName,
+        verificationUrl,
+        expiresAt,
+        expiresInHours: TOKEN_TTL_HOURS[EMAIL_VERIFICATION],
+        code,
+        codeExpiresInMinutes: CODE_TTL_MINUTES,
+        unsubscribeUrl: unsubscribe.pageUrl
+      }, { locale: getLocale(req) })
+    };
+
+    const messageId = await mailQueue.enqueue(msg, {
+      template: 'welcome-purchase',
+      category: 'notification',
+      related: { userId },
+      issued: issuedWith(req, { tokens: [token], codes: [{ email, purpose: EMAIL_VERIFICATION, code }] })
+    }, { sendAt });
+
+    res.status(202).json({ 
+      success: true, 
+      message: 'Welcome email queued',
+      messageId,
+      scheduledFor: scheduledFor(sendAt),
+      token // Returns token for verification
+    });
+
+  } catch (error) {
+    console.error('Error sending welcome email:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to send welcome email',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/send-device-added
+ * Sends an email when an existing user adds a new device
+ * Scope: send:billing
+ * Headers: Idempotency-Key?
+ * Body: { 
+ *   email: string,
+ *   userId?: string,
+ *   firstName: string,
+ *   vehicleName: string,
+ *   planName: string,
+ *   planPrice?: string | number,
+ *   currency?: string,
+ *   billingInterval?: "month" | "year",
+ *   sendAt?: string (ISO date, send later),
+ *   locale?: string
+ * }
+ */
+app.post('/api/send-device-added', requireScope('send:billing'), validate(schemas.sendDeviceAdded), idempotent(), limitSends(), async (req, res) => {
+  try {
+    const { email, userId, firstName, vehicleName, planName, planPrice, currency, billingInterval } = req.body;
+    const sendAt = sendTimeOf(req);
+
+    // Email template for device added
+    const unsubscribe = unsubscribeLinks.forRecipient(email);
+    const msg = {
+      to: email,
+      from: {
+        email: SENDER_EMAIL,
+        name: 'DriveCore'
+      },
+      headers: unsubscribe.headers,
+      ...templates.render('device-added', {
+        firstName,
+        vehicleName,
+        planName,
+        planPrice,
+        currency,
+        billingInterval,
+        dashboardUrl: `${FRONTEND_URL}/gps/login`,
+        unsubscribeUrl: unsubscribe.pageUrl
+      }, { locale: getLocale(req) })
+    };
+
+    const messageId = await mailQueue.enqueue(msg, {
+      template: 'device-added',
+      category: 'notification',
+      related: { userId },
+      issued: issuedWith(req)
+    }, { sendAt });
+
+    console.log(`✅ Device added email queued for ${email} (Vehicle: ${vehicleName})`);
+
+    res.status(202).json({ 
+      success: true, 
+      message: 'Device added email queued',
+      messageId,
+      scheduledFor: scheduledFor(sendAt)
+    });
+
+  } catch (error) {
+    console.error('❌ Error sending device added email:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to send device added email',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/send-invoice
+ * Sends an invoice/receipt email to the user, with a PDF receipt attached.
+ * The receipt is generated from the body unless invoicePdf carries the file itself.
+ * Scope: send:billing
+ * Headers: Idempotency-Key? (defaults to invoiceId)
+ * Body: { 
+ *   email: string,
+ *   invoiceId: string,
+ *   amount: string | number (e.g., "£7.99" or 7.99),
+ *   currency?: string (ISO code, used when amount is a number),
+ *   invoiceUrl: string,
+ *   invoicePdf?: string (link) | { content: base64, filename?: string },
+ *   lineItems?: [{ description: string, quantity?: number, unitAmount: number }],
+ *   vatRate?: number (percent), vatInclusive?: boolean (default true), vatNumber?: string,
+ *   billingAddress?: { name?, company?, line1?, line2?, city?, postalCode?, country? },
+ *   issuedAt?: string (ISO date),
+ *   attachReceipt?: boolean (default true),
+ *   attachments?: [{ content: base64, filename: string, type?: string }],
+ *   sendAt?: string (ISO date, send later),
+ *   locale?: string
+ * }
+ */
+app.post('/api/send-invoice', requireScope('send:billing'), validate(schemas.sendInvoice), idempotent({ naturalKey: (req) => req.body.invoiceId }), limitSends(), async (req, res) => {
+  try {
+    const { email, invoiceId, amount, currency, invoiceUrl, invoicePdf, attachReceipt = true } = req.body;
+    const locale = getLocale(req);
+    const sendAt = sendTimeOf(req);
+
+    // The receipt must add up to what was charged
+    if (req.body.lineItems && req.body.lineItems.length && typeof amount === 'number') {
+      const { total } = computeTotals(req.body);
+      if (Math.round(total * 100) !== Math.round(amount * 100)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid request body',
+          code: 'VALIDATION_FAILED',
+          errors: [{ field: 'lineItems', code: 'AMOUNT_MISMATCH', message: `lineItems add up to ${total}, not ${amount}` }]
+        });
+      }
+    }
+
+    // A supplied PDF replaces the generated receipt; a URL is only linked
+    const suppliedPdf = invoicePdf && typeof invoicePdf === 'object' ? invoicePdf : null;
+    const entries = [];
+
+    if (suppliedPdf) {
+      entries.push({
+        field: 'invoicePdf',
+        attachment: toAttachment({
+          content: suppliedPdf.content,
+          filename: suppliedPdf.filename || `${invoiceId}.pdf`,
+          type: suppliedPdf.type || 'application/pdf'
+        })
+      });
+    } else if (attachReceipt) {
+      const { lineItems, vatRate, vatInclusive, vatNumber, billingAddress, issuedAt } = req.body;
+      const pdf = await receipts.render({
+        invoiceId, amount, currency, lineItems, vatRate, vatInclusive, vatNumber, billingAddress, issuedAt, email
+      }, { locale });
+
+      entries.push({
+        field: 'receipt',
+        attachment: toAttachment({
+          content: pdf,
+          filename: i18n.translate(locale, 'receipt.filename', { invoiceId }),
+          type: 'application/pdf'
+        })
+      });
+    }
+
+    (req.body.attachments || []).forEach((attachment, index) => {
+      entries.push({ field: `attachments[${index}]`, attachment: toAttachment(attachment) });
+    });
+
+    const attachmentErrors = checkAttachments(entries, { maxBytes: ATTACHMENT_MAX_BYTES, maxTotalBytes: ATTACHMENTS_MAX_TOTAL_BYTES });
+    if (attachmentErrors.length) {
+      const tooLarge = attachmentErrors.every(({ code }) => code !== 'ATTACHMENT_TYPE_NOT_ALLOWED');
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        error: 'Attachments are not allowed or too large',
+        code: 'ATTACHMENTS_REFUSED',
+        errors: attachmentErrors
+      });
+    }
+
+    // Email template for invoice
+    const msg = {
+      to: email,
+      from: {
+        email: SENDER_EMAIL,
+        name: 'DriveCore'
+      },
+      ...templates.render('invoice', {
+        invoiceId,
+        amount,
+        currency,
+        invoiceUrl,
+        invoicePdf: suppliedPdf ? null : invoicePdf,
+        receiptAttached: entries.some(({ field }) => field === 'invoicePdf' || field === 'receipt')
+      }, { locale })
+    };
+    if (entries.length) msg.attachments = entries.map(({ attachment }) => attachment);
+
+    const messageId = await mailQueue.enqueue(msg, {
+      template: 'invoice',
+      category: 'transactional',
+      related: { invoiceId },
+      issued: issuedWith(req)
+    }, { sendAt });
+
+    console.log(`✅ Invoice email queued for ${email} (Invoice: ${invoiceId}, ${entries.length} attachment(s))`);
+
+    res.status(202).json({ 
+      success: true, 
+      message: 'Invoice email queued',
+      messageId,
+      scheduledFor: scheduledFor(sendAt),
+      attachments: entries.map(({ attachment }) => ({ filename: attachment.filename, type: attachment.type }))
+    });
+
+  } catch (error) {
+    console.error('❌ Error sending invoice email:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to send invoice email',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Handler for the subscription lifecycle emails below. They share the plan
+ * card fields and differ in template and in the fields `pick` takes from the body.
+ */
+function subscriptionEmailHandler(template, label, pick) {
+  return async (req, res) => {
+    try {
+      const { email, userId, subscriptionId, firstName, planName, planPrice, currency, billingInterval, vehicleName } = req.body;
+      const sendAt = sendTimeOf(req);
+
+      const msg = {
+        to: email,
+        from: {
+          email: SENDER_EMAIL,
+          name: 'DriveCore'
+        },
+        ...templates.render(template, {
+          firstName,
+          planName,
+          planPrice,
+          currency,
+          billingInterval,
+          vehicleName,
+          ...pick(req.body)
+        }, { locale: getLocale(req) })
+      };
+
+      const messageId = await mailQueue.enqueue(msg, {
+        template,
+        category: 'transactional',
+        related: { userId, subscriptionId },
+        issued: issuedWith(req)
+      }, { sendAt });
+
+      console.log(`✅ ${label} email queued for ${email}`);
+
+      res.status(202).json({
+        success: true,
+        message: `${label} email queued`,
+        messageId,
+        scheduledFor: scheduledFor(sendAt)
+      });
+
+    } catch (error) {
+      console.error(`❌ Error sending ${label.toLowerCase()} email:`, error);
+      res.status(500).json({
+        success: false,
+        error: `Failed to send ${label.toLowerCase()} email`,
+        details: error.message
+      });
+    }
+  };
+}
+
+/**
+ * POST /api/send-renewal-reminder
+ * Reminds the user that their subscription renews soon
+ * Scope: send:billing
+ * Headers: Idempotency-Key?
+ * Body: {
+ *   email: string,
+ *   userId?: string,
+ *   subscriptionId?: string,
+ *   firstName?: string,
+ *   planName?: string, planPrice?: string | number, currency?: string,
+ *   billingInterval?: "month" | "year", vehicleName?: string,
+ *   renewsAt: string (ISO date),
+ *   manageUrl?: string (defaults to BILLING_URL),
+ *   sendAt?: string (ISO date, send later),
+ *   locale?: string
+ * }
+ */
+app.post('/api/send-renewal-reminder', requireScope('send:billing'), validate(schemas.sendRenewalReminder), idempotent(), limitSends(),
+  subscriptionEmailHandler('renewal-reminder', 'Renewal reminder', ({ renewsAt, manageUrl }) => ({
+    renewsAt,
+    manageUrl: manageUrl || BILLING_URL
+  })));
+
+/**
+ * POST /api/send-payment-failed
+ * Tells the user a subscription payment failed, with a link to update their card
+ * Scope: send:billing
+ * Headers: Idempotency-Key?
+ * Body: {
+ *   email: string,
+ *   userId?: string,
+ *   subscriptionId?: string,
+ *   firstName?: string,
+ *   planName?: string, planPrice?: string | number, currency?: string,
+ *   billingInterval?: "month" | "year", vehicleName?: string,
+ *   amount?: string | number (amount due),
+ *   invoiceId?: string,
+ *   updatePaymentUrl?: string (defaults to BILLING_URL),
+ *   nextAttemptAt?: string (ISO date of the next retry),
+ *   sendAt?: string (ISO date, send later),
+ *   locale?: string
+ * }
+ */
+app.post('/api/send-payment-failed', requireScope('send:billing'), validate(schemas.sendPaymentFailed), idempotent(), limitSends(),
+  subscriptionEmailHandler('payment-failed', 'Payment failed', ({ amount, invoiceId, updatePaymentUrl, nextAttemptAt }) => ({
+    amount,
+    invoiceId,
+    updatePaymentUrl: updatePaymentUrl || BILLING_URL,
+    nextAttemptAt
+  })));
+
+/**
+ * POST /api/send-subscription-cancelled
+ * Confirms a cancellation; with endsAt, the plan stays active until then
+ * Scope: send:billing
+ * Headers: Idempotency-Key?
+ * Body: {
+ *   email: string,
+ *   userId?: string,
+ *   subscriptionId?: string,
+ *   firstName?: string,
+ *   planName?: string, planPrice?: string | number, currency?: string,
+ *   billingInterval?: "month" | "year", vehicleName?: string,
+ *   endsAt?: string (ISO date the paid period ends),
+ *   resubscribeUrl?: string (defaults to BILLING_URL),
+ *   sendAt?: string (ISO date, send later),
+ *   locale?: string
+ * }
+ */
+app.post('/api/send-subscription-cancelled', requireScope('send:billing'), validate(schemas.sendSubscriptionCancelled), idempotent(), limitSends(),
+  subscriptionEmailHandler('subscription-cancelled', 'Subscription cancelled', ({ endsAt, resubscribeUrl }) => ({
+    endsAt,
+    resubscribeUrl: resubscribeUrl || BILLING_URL
+  })));
+
+/**
+ * POST /api/send-subscription-expiring
+ * Warns the user that a subscription which won't renew is about to end
+ * Scope: send:billing
+ * Headers: Idempotency-Key?
+ * Body: {
+ *   email: string,
+ *   userId?: string,
+ *   subscriptionId?: string,
+ *   firstName?: string,
+ *   planName?: string, planPrice?: string | number, currency?: string,
+ *   billingInterval?: "month" | "year", vehicleName?: string,
+ *   expiresAt: string (ISO date),
+ *   renewUrl?: string (defaults to BILLING_URL),
+ *   sendAt?: string (ISO date, send later),
+ *   locale?: string
+ * }
+ */
+app.post('/api/send-subscription-expiring', requireScope('send:billing'), validate(schemas.sendSubscriptionExpiring), idempotent(), limitSends(),
+  subscriptionEmailHandler('subscription-expiring', 'Subscription expiring', ({ expiresAt, renewUrl }) => ({
+    expiresAt,
+    renewUrl: renewUrl || BILLING_URL
+  })));
+
+/**
+ * DELETE /api/token/:token
+ * Removes a token (for cleanup or cancellation)
+ * Scope: tokens:admin
+ */
+app.delete('/api/token/:token', requireScope('tokens:admin'), async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    if (await tokensFor(token).revoke(token)) {
+      res.json({ success: true, message: 'Token removed' });
+    } else {
+      res.status(404).json({ success: false, error: 'Token not found' });
+    }
+
+  } catch (error) {
+    console.error('Error removing token:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to remove token',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/messages
+ * Lists sent messages, newest first
+ * Scope: messages:read
+ * Query: email?, template?, invoiceId?, transferId?, userId?, hasText? ("false" lists messages sent without a text part), limit? (default 50, max 500)
+ */
+app.get('/api/messages', requireScope('messages:read'), async (req, res) => {
+  try {
+    const { email, template, invoiceId, transferId, userId } = req.query;
+    const hasText = req.query.hasText === undefined ? undefined : req.query.hasText !== 'false';
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+
+    const messages = await deliveryLog.find({ email, template, invoiceId, transferId, userId, hasText, limit });
+
+    res.json({ 
+      success: true,
+      count: messages.length,
+      messages
+    });
+
+  } catch (error) {
+    console.error('Error listing messages:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to list messages',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/messages/:id
+ * Delivery status and history of one message (the messageId returned by send routes)
+ * Scope: messages:read
+ */
+app.get('/api/messages/:id', requireScope('messages:read'), async (req, res) => {
+  try {
+    const message = await deliveryLog.get(req.params.id);
+
+    if (!message) {
+      return res.status(404).json({ success: false, error: 'Message not found' });
+    }
+
+    res.json({ success: true, message });
+
+  } catch (error) {
+    console.error('Error reading message:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to read message',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scheduled/:id
+ * A message sent with `sendAt`: when it is due and whether it is still waiting.
+ * Once it has gone out (or been cancelled) the status comes from the delivery log.
+ * Scope: messages:read
+ */
+app.get('/api/scheduled/:id', requireScope('messages:read'), async (req, res) => {
+  try {
+    const job = await mailQueue.get(req.params.id);
+
+    if (job && job.scheduledFor) {
+      return res.json({
+        success: true,
+        scheduled: {
+          ...summarizeJob(job),
+          status: job.status === 'queued' ? 'scheduled' : job.status,
+          sendAt: new Date(job.scheduledFor).toISOString(),
+          related: job.meta.related || {}
+        }
+      });
+    }
+
+    const message = await deliveryLog.get(req.params.id);
+    if (!message || !message.scheduledFor) {
+      return res.status(404).json({ success: false, error: 'Scheduled message not found' });
+    }
+
+    res.json({
+      success: true,
+      scheduled: {
+        id: message.id,
+        template: message.template,
+        to: message.to,
+        status: message.status,
+        sendAt: message.scheduledFor,
+        related: message.related
+      }
+    });
+
+  } catch (error) {
+    console.error('Error reading scheduled message:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to read scheduled message',
+      details: error.message
+    });
   }
 });
 
 /**
- * GET /health
- * Health check endpoint
+ * Undoes what a send created along with an email that was cancelled: its
+ * links and codes stop working, a transfer it opened is closed, and its
+ * idempotency key is freed so the same request can be made again.
+ */
+async function revokeIssued({ tokens = [], codes = [], transferId = null, idempotencyKey = null } = {}) {
+  for (const token of tokens) await tokensFor(token).revoke(token);
+  for (const code of codes) await verificationCodes.revoke(code);
+  if (transferId) await transfers.cancel(transferId);
+  if (idempotencyKey) await idempotency.release(idempotencyKey);
+}
+
+/**
+ * DELETE /api/scheduled/:id
+ * Cancels a message sent with `sendAt` before it goes out, along with the
+ * links, codes and transfer created for it
+ * Scope: queue:admin
+ */
+app.delete('/api/scheduled/:id', requireScope('queue:admin'), async (req, res) => {
+  try {
+    const job = await mailQueue.get(req.params.id);
+
+    if (!job || !job.scheduledFor) {
+      return res.status(404).json({ success: false, error: 'Scheduled message not found or already sent' });
+    }
+
+    if (await mailQueue.cancel(req.params.id)) {
+      await revokeIssued(job.meta.issued);
+      console.log(`🗓️  Scheduled message ${req.params.id} to ${job.msg.to} cancelled`);
+      res.json({ success: true, message: 'Scheduled message cancelled' });
+    } else {
+      res.status(409).json({ success: false, error: 'Message is already being sent' });
+    }
+
+  } catch (error) {
+    console.error('Error cancelling scheduled message:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to cancel scheduled message',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/dead-letters
+ * Lists messages that could not be delivered, newest first
+ * Scope: queue:admin
+ */
+app.get('/api/dead-letters', requireScope('queue:admin'), async (req, res) => {
+  try {
+    const deadLetters = await mailQueue.listDeadLetters();
+
+    res.json({ 
+      success: true,
+      count: deadLetters.length,
+      deadLetters: deadLetters.map(summarizeJob)
+    });
+
+  } catch (error) {
+    console.error('Error listing dead letters:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to list dead letters',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/dead-letters/:id
+ * Shows a failed message, including its content
+ * Scope: queue:admin
+ */
+app.get('/api/dead-letters/:id', requireScope('queue:admin'), async (req, res) => {
+  try {
+    const deadLetter = await mailQueue.getDeadLetter(req.params.id);
+
+    if (!deadLetter) {
+      return res.status(404).json({ success: false, error: 'Dead letter not found' });
+    }
+
+    res.json({ success: true, deadLetter });
+
+  } catch (error) {
+    console.error('Error reading dead letter:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to read dead letter',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/dead-letters/:id/replay
+ * Puts a failed message back in the queue for another round of attempts
+ * Scope: queue:admin
+ */
+app.post('/api/dead-letters/:id/replay', requireScope('queue:admin'), async (req, res) => {
+  try {
+    if (!(await mailQueue.replay(req.params.id))) {
+      return res.status(404).json({ success: false, error: 'Dead letter not found' });
+    }
+
+    res.status(202).json({ 
+      success: true, 
+      message: 'Message queued again',
+      messageId: req.params.id
+    });
+
+  } catch (error) {
+    console.error('Error replaying dead letter:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to replay dead letter',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/dead-letters/:id
+ * Drops a failed message for good
+ * Scope: queue:admin
+ */
+app.delete('/api/dead-letters/:id', requireScope('queue:admin'), async (req, res) => {
+  try {
+    if (await mailQueue.discard(req.params.id)) {
+      res.json({ success: true, message: 'Dead letter removed' });
+    } else {
+      res.status(404).json({ success: false, error: 'Dead letter not found' });
+    }
+
+  } catch (error) {
+    console.error('Error removing dead letter:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to remove dead letter',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/unsubscribe
+ * Unsubscribes the recipient of a signed link from non-essential emails.
+ * Mail clients call it directly for one-click unsubscribe (RFC 8058), with the
+ * token in the query string and a form body of "List-Unsubscribe=One-Click".
+ * Auth: the signed token, no API client needed
+ * Body: { token: string } (or ?token=...)
+ */
+app.post('/api/unsubscribe', express.urlencoded({ extended: false }), async (req, res) => {
+  try {
+    const token = req.query.token || (req.body && req.body.token);
+    const email = unsubscribeLinks.verifyToken(token);
+
+    if (!email) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Invalid unsubscribe link' 
+      });
+    }
+
+    await suppressions.add(email, {
+      reason: 'unsubscribe',
+      source: req.body && req.body['List-Unsubscribe'] === 'One-Click' ? 'one-click' : 'link'
+    });
+
+    console.log(`🚫 ${email} unsubscribed`);
+
+    res.json({ 
+      success: true, 
+      message: 'You have been unsubscribed',
+      email
+    });
+
+  } catch (error) {
+    console.error('Error unsubscribing:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to unsubscribe',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/suppressions
+ * Lists suppressed addresses, newest first
+ * Scope: suppressions:admin
+ * Query: reason? ('bounce', 'complaint', 'unsubscribe' or 'manual')
+ */
+app.get('/api/suppressions', requireScope('suppressions:admin'), async (req, res) => {
+  try {
+    const entries = await suppressions.list({ reason: req.query.reason });
+
+    res.json({ 
+      success: true,
+      count: entries.length,
+      suppressions: entries
+    });
+
+  } catch (error) {
+    console.error('Error listing suppressions:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to list suppressions',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/suppressions
+ * Suppresses an address by hand
+ * Scope: suppressions:admin
+ * Body: { email: string, detail?: string }
+ */
+app.post('/api/suppressions', requireScope('suppressions:admin'), validate(schemas.addSuppression), async (req, res) => {
+  try {
+    const { email, detail } = req.body;
+
+    const suppression = await suppressions.add(email, {
+      reason: 'manual',
+      source: req.client.id,
+      detail: detail || null
+    });
+
+    res.status(201).json({ success: true, suppression });
+
+  } catch (error) {
+    console.error('Error adding suppression:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to add suppression',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/suppressions/:email
+ * Lets emails reach an address again
+ * Scope: suppressions:admin
+ */
+app.delete('/api/suppressions/:email', requireScope('suppressions:admin'), async (req, res) => {
+  try {
+    if (await suppressions.remove(req.params.email)) {
+      console.log(`✅ ${req.params.email} removed from suppressions by ${req.client.id}`);
+      res.json({ success: true, message: 'Suppression removed' });
+    } else {
+      res.status(404).json({ success: false, error: 'Address is not suppressed' });
+    }
+
+  } catch (error) {
+    console.error('Error removing suppression:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to remove suppression',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks/sendgrid
+ * Receives SendGrid delivery events (signed Event Webhook)
+ * Auth: SendGrid ECDSA signature, no API client needed
+ * Body: [{ event: string, email: string, timestamp: number, sg_event_id: string, messageId?: string, ... }]
+ */
+app.post('/api/webhooks/sendgrid', async (req, res) => {
+  try {
+    if (!sendgridWebhook) {
+      return res.status(503).json({ 
+        success: false, 
+        error: 'SendGrid webhook is not configured' 
+      });
+    }
+
+    if (!sendgridWebhook.verify(req)) {
+      return res.status(401).json({ 
+        success: false, 
+        error: 'Invalid webhook signature' 
+      });
+    }
+
+    if (!Array.isArray(req.body)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Expected an array of events' 
+      });
+    }
+
+    const result = await sendgridWebhook.handle(req.body);
+
+    res.json({ success: true, ...result });
+
+  } catch (error) {
+    // A 5xx makes SendGrid retry the batch later
+    console.error('Error processing SendGrid events:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to process events',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks/stripe
+ * Sends billing emails for Stripe events: invoice.paid (receipt),
+ * invoice.payment_failed and invoice.payment_action_required (payment problem),
+ * customer.subscription.deleted (cancellation). customer.created/updated are
+ * recorded so subscription events can find the customer's address.
+ * Auth: Stripe-Signature header (STRIPE_WEBHOOK_SECRET), no API client needed
+ * Body: Stripe event { id: string, type: string, data: { object: {...} } }
+ */
+app.post('/api/webhooks/stripe', async (req, res) => {
+  try {
+    if (!stripeWebhook) {
+      return res.status(503).json({
+        success: false,
+        error: 'Stripe webhook is not configured'
+      });
+    }
+
+    if (!stripeWebhook.verify(req)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid webhook signature'
+      });
+    }
+
+    const event = req.body;
+    if (!event || typeof event.id !== 'string' || typeof event.type !== 'string' || !event.data || typeof event.data.object !== 'object') {
+      return res.status(400).json({
+        success: false,
+        error: 'Expected a Stripe event'
+      });
+    }
+
+    const result = await stripeWebhook.handle(event);
+
+    if (result.status === 'queued') {
+      console.log(`💳 Stripe ${event.type} → ${result.template} email queued (${event.id})`);
+    } else if (result.status === 'duplicate') {
+      console.log(`🔁 Stripe ${event.type} already handled (${event.id})`);
+    }
+
+    res.json({ success: true, eventId: event.id, ...result });
+
+  } catch (error) {
+    // A 5xx makes Stripe retry the event later
+    console.error('Error processing Stripe event:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process event',
+      details: error.message
+    });
+  }
+});
+
+// Email HTML needs no scripts; previews must not run any on the API's origin
+const PREVIEW_CSP = "default-src 'none'; img-src * data:; style-src 'unsafe-inline'";
+
+/**
+ * Renders a template for the preview routes: the sample fixture with the
+ * given fields on top, in the requested locale and format.
+ */
+function sendPreview(req, res, fields) {
+  try {
+    const { template } = req.params;
+    const { format = 'html', locale, ...data } = fields;
+
+    if (!templates.has(template)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found',
+        templates: templates.list()
+      });
+    }
+
+    if (!['html', 'text', 'json'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'format must be one of: html, text, json' });
+    }
+
+    const rendered = templates.render(template, { ...templates.fixture(template), ...data }, {
+      locale: i18n.match(locale) || req.acceptsLanguages(i18n.locales) || i18n.defaultLocale
+    });
+
+    if (format === 'json') {
+      return res.json({ success: true, template, ...rendered });
+    }
+
+    if (format === 'text') {
+      return res.type('text/plain').send(rendered.text);
+    }
+
+    res.set('Content-Security-Policy', PREVIEW_CSP);
+    res.type('html').send(rendered.html);
+
+  } catch (error) {
+    console.error('Error rendering preview:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to render preview',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/preview/:template
+ * Renders a template with sample data, without sending anything
+ * Scope: templates:preview
+ * Query: format? ("html", "text" or "json"), locale?, any template field to override the sample data
+ */
+app.get('/api/preview/:template', requireScope('templates:preview'), (req, res) => {
+  sendPreview(req, res, req.query);
+});
+
+/**
+ * POST /api/preview/:template
+ * Same as GET, with the template fields in the body
+ * Scope: templates:preview
+ * Query: format?, locale?
+ * Body: { ...template fields }
+ */
+app.post('/api/preview/:template', requireScope('templates:preview'), (req, res) => {
+  sendPreview(req, res, { ...req.body, ...req.query });
+});
+
+/**
+ * GET /preview
+ * Gallery of every template in every locale, for designers.
+ * Only served when PREVIEW_GALLERY is on (the default outside production).
+ * Scope: templates:preview
+ * Query: template?
  */
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    timestamp: new Date().toISOString(),
-    tokensInMemory: verificationTokens.size
+if (PREVIEW_GALLERY) {
+  app.get('/preview', requireScope('templates:preview'), (req, res) => {
+    try {
+      res.set('Content-Security-Policy', `${PREVIEW_CSP}; frame-src 'self'`);
+      res.type('html').send(renderGallery({ templates, locales: i18n.locales, only: req.query.template }));
+    } catch (error) {
+      console.error('Error rendering preview gallery:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to render preview gallery',
+        details: error.message
+      });
+    }
   });
+}
+
+/**
+ * GET /health
+ * Health check endpoint (public, no API key needed)
+ */
+app.get('/health', async (req, res) => {
+  try {
+    res.json({ 
+      status: 'ok', 
+      timestamp: new Date().toISOString(),
+      tokenStore: STORE_DRIVER,
+      tokenMode: TOKEN_MODE,
+      mailTransport: mailTransport.name,
+      tokensInMemory: await verificationTokens.size(),
+      mailQueue: await mailQueue.stats()
+    });
+  } catch (error) {
+    console.error('Health check failed:', error);
+    res.status(503).json({ 
+      status: 'error', 
+      timestamp: new Date().toISOString(),
+      error: error.message
+    });
+  }
+});
+
+// Body parser errors (malformed or oversized JSON) get the same shape as validation errors
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ success: false, error: 'Malformed JSON body', code: 'BODY_INVALID' });
+  }
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ success: false, error: 'Request body is too large', code: 'BODY_TOO_LARGE' });
+  }
+  next(error);
 });
 
 // Start server
 app.listen(PORT, () => {
+  mailQueue.start();
+
   console.log(`
   ╔════════════════════════════════════════════════════════════════╗
   ║                                                                ║
   ║   📧 Email API - DriveCore                                     ║
   ║   ──────────────────────────────────────────────────────────   ║
   ║   Server running on: http://localhost:${PORT}                   ║
+  ║   Mail transport: ${mailTransport.name.padEnd(45)}║
   ║                                                                ║
   ║   Endpoints:                                                   ║
   ║   POST /api/send-verification       → Send verification email  ║
   ║   POST /api/send-welcome-purchase   → Welcome + verify email   ║
   ║   POST /api/send-device-added       → Device added email       ║
   ║   POST /api/send-invoice            → Send payment receipt     ║
+  ║   POST /api/send-renewal-reminder   → Upcoming renewal email   ║
+  ║   POST /api/send-payment-failed     → Update card email        ║
+  ║   POST /api/send-subscription-cancelled → Cancellation email   ║
+  ║   POST /api/send-subscription-expiring → Plan ending email     ║
   ║   POST /api/send-transfer-notification → Tracker transfer email║
+  ║   GET  /api/transfers/:transferId   → Transfer state           ║
+  ║   POST /api/transfers/respond       → Accept/decline transfer  ║
   ║   GET  /api/verify/:token           → Verify token             ║
   ║   POST /api/verify                  → Verify token (POST)      ║
+  ║   POST /api/verify-code             → Verify emailed code      ║
   ║   GET  /api/check/:token            → Check token status       ║
+  ║   POST /api/send-password-reset     → Password reset email     ║
+  ║   POST /api/password-reset/verify   → Use password reset token ║
+  ║   POST /api/send-magic-link         → Sign-in link email       ║
+  ║   POST /api/magic-link/consume      → Sign in with link        ║
+  ║   GET  /api/messages/:id            → Delivery status          ║
+  ║   GET  /api/scheduled/:id           → Scheduled send status    ║
+  ║   DELETE /api/scheduled/:id         → Cancel scheduled send    ║
+  ║   GET  /api/dead-letters            → Undelivered messages     ║
+  ║   POST /api/dead-letters/:id/replay → Retry a failed message   ║
+  ║   POST /api/unsubscribe             → One-click unsubscribe    ║
+  ║   GET  /api/suppressions            → Suppressed addresses     ║
+  ║   POST /api/webhooks/sendgrid       → SendGrid delivery events ║
+  ║   POST /api/webhooks/stripe         → Stripe billing emails    ║
+  ║   GET  /api/preview/:template       → Render without sending   ║
   ║   GET  /health                      → Health check             ║
   ║                                                                ║
   ╚════════════════════════════════════════════════════════════════╝